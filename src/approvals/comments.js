@@ -0,0 +1,26 @@
+// ADF bodies for the comments the app posts on an issue
+
+const text = value => ({ type: 'text', text: value });
+
+const mention = user => ({
+  type: 'mention',
+  attrs: { id: user.accountId, text: `@${user.displayName || user.accountId}` },
+});
+
+// "✅ Approved by @Jane Doe — looks good" (plus "on behalf of @…" for a substitute)
+export function approvalComment({ principal, delegate, note }) {
+  const content = delegate
+    ? [text('✅ Approved by '), mention(delegate), text(' on behalf of '), mention(principal)]
+    : [text('✅ Approved by '), mention(principal)];
+  const trimmed = String(note || '').trim();
+  if (trimmed) {
+    content.push(text(` — ${trimmed}`));
+  }
+  return { type: 'doc', version: 1, content: [{ type: 'paragraph', content }] };
+}
+
+// Settings value → the `visibility` of a Jira comment (null means everyone can see it)
+export const toCommentVisibility = visibility =>
+  visibility?.type === 'role' || visibility?.type === 'group'
+    ? { type: visibility.type, value: visibility.value }
+    : null;
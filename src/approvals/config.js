@@ -0,0 +1,299 @@
+import { startsWith, storage } from '@forge/api';
+import { DECK_IDS, MAX_CARD_LENGTH, MAX_CUSTOM_CARDS } from '../poker/decks';
+
+// Approval settings live in Forge storage so one deployment can serve every site.
+// A global record holds the site defaults; a project record only holds the keys it overrides.
+const STORAGE_PREFIX = 'approval-config';
+export const GLOBAL_SCOPE = 'global';
+
+export const POLICY_TYPES = ['all', 'count', 'percentage', 'groups'];
+export const INVALIDATION_MODES = ['stale', 'clear', 'off'];
+export const COMMENT_VISIBILITY_TYPES = ['all', 'role', 'group'];
+export const LOZENGE_APPEARANCES = ['default', 'inprogress', 'moved', 'new', 'removed', 'success'];
+
+// Used until an admin saves anything (matches the values the app originally shipped with)
+export const DEFAULT_SETTINGS = {
+  approverField: 'customfield_10003',       // Approvers (multi-user)
+  approverGroups: [],                       // Jira group names whose members may approve
+  approverRoles: [],                        // Project role names whose members may approve
+  approvalDateField: 'customfield_15694',   // Approval Date (date/datetime)
+  approvalGivenByField: '',                 // Approval given by (single-user), optional
+  requiredStatus: 'Ready for Review',
+  targetStatus: 'Approved',
+  rejectStatus: 'In Progress',
+  // Statuses the workflow validator keeps closed until quorum is met; empty means targetStatus only
+  guardedStatuses: [],
+  // Approval policy — how many recorded votes are needed before the transition runs
+  //   { type: 'all' }                                   every listed approver
+  //   { type: 'count', required: 2 }                    N of the M listed approvers
+  //   { type: 'percentage', percent: 50 }               share of listed approvers (rounded up)
+  //   { type: 'groups', groups: { dev: [...], qa: [...] } }  at least one account ID from each group
+  policy: { type: 'all' },
+  // Edits to these fields (changelog field IDs) after someone approved invalidate their approval
+  sensitiveFields: ['summary', 'description', 'attachment'],
+  invalidationMode: 'stale', // 'stale' keeps votes flagged, 'clear' removes them, 'off' disables
+  // Who can see the "Approved by" comment: everyone, or a project role / group by name
+  //   { type: 'all' } | { type: 'role', value: 'Developers' } | { type: 'group', value: 'qa-team' }
+  commentVisibility: { type: 'all' },
+  // Lozenge appearance per status name; other statuses follow their Jira status category
+  //   { 'Blocked': 'removed', 'Ready for Review': 'moved' }
+  statusAppearances: {},
+  // Reminders / SLA escalation (scheduled trigger); hours in the review status, 0 turns a step off
+  reminderAfterHours: 48,                   // nudge approvers who have not voted, then again every N hours
+  escalateAfterHours: 120,                  // notify the fallback user / group once per review
+  escalationUser: '',                       // account ID
+  escalationGroup: '',                      // Jira group name
+  // Ordered approval stages; empty means one stage built from the approver settings + policy above
+  //   [{ name: 'Security', approverField: '', approverGroups: ['security-reviewers'],
+  //      approverRoles: [], policy: { type: 'count', required: 2 } }, …]
+  stages: [],
+  // Planning poker panel: the card deck players pick from ('fibonacci', 'tshirt', 'powers' or 'custom')
+  pokerDeck: 'fibonacci',
+  pokerCustomDeck: [],                      // card labels for 'custom', e.g. ['1', '2', '3', '?', '☕']
+  // Where the agreed estimate is written: a number field, or 'timeoriginalestimate' (card = hours)
+  pokerEstimateField: 'customfield_10016',  // Story point estimate on most Jira Cloud sites
+  // Project role whose members may facilitate any session (besides the person who started it)
+  pokerFacilitatorRole: '',
+};
+
+const STRING_KEYS = [
+  'approverField',
+  'approvalDateField',
+  'approvalGivenByField',
+  'requiredStatus',
+  'targetStatus',
+  'rejectStatus',
+  'escalationUser',
+  'escalationGroup',
+  'pokerEstimateField',
+  'pokerFacilitatorRole',
+];
+
+
+const NUMBER_KEYS = ['reminderAfterHours', 'escalateAfterHours'];
+
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+
+export const isValidScope = (scope) =>
+  scope === GLOBAL_SCOPE || PROJECT_KEY_PATTERN.test(String(scope || ''));
+
+const getStorageKey = (scope) =>
+  scope === GLOBAL_SCOPE ? `${STORAGE_PREFIX}:${GLOBAL_SCOPE}` : `${STORAGE_PREFIX}:project:${scope}`;
+
+const normalizePolicy = (policy) => {
+  if (!policy || typeof policy !== 'object' || !POLICY_TYPES.includes(policy.type)) {
+    return null;
+  }
+
+  if (policy.type === 'count') {
+    const required = Math.floor(Number(policy.required));
+    return { type: 'count', required: required > 0 ? required : 1 };
+  }
+
+  if (policy.type === 'percentage') {
+    const percent = Number(policy.percent);
+    return { type: 'percentage', percent: percent > 0 && percent <= 100 ? percent : 100 };
+  }
+
+  if (policy.type === 'groups') {
+    const groups = {};
+    Object.entries(policy.groups && typeof policy.groups === 'object' ? policy.groups : {})
+      .forEach(([name, ids]) => {
+        const members = Array.isArray(ids) ? ids.filter((id) => typeof id === 'string' && id) : [];
+        if (name && members.length > 0) {
+          groups[name] = members;
+        }
+      });
+    return { type: 'groups', groups };
+  }
+
+  return { type: 'all' };
+};
+
+const slugify = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+
+const normalizeNames = (names) =>
+  Array.isArray(names)
+    ? Array.from(new Set(names.filter((n) => typeof n === 'string' && n.trim()).map((n) => n.trim())))
+    : [];
+
+// Custom poker cards: trimmed, unique, in the order given
+const normalizeCards = (cards) =>
+  normalizeNames(cards)
+    .filter((card) => card.length <= MAX_CARD_LENGTH)
+    .slice(0, MAX_CUSTOM_CARDS);
+
+// Each stage gets a stable id from its name — recorded votes refer to it
+const normalizeStages = (stages) => {
+  if (!Array.isArray(stages)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return stages
+    .filter((stage) => stage && typeof stage === 'object')
+    .map((stage, index) => {
+      const name =
+        typeof stage.name === 'string' && stage.name.trim() ? stage.name.trim() : `Stage ${index + 1}`;
+      let id = slugify(name) || `stage-${index + 1}`;
+      while (seen.has(id)) {
+        id = `${id}-${index + 1}`;
+      }
+      seen.add(id);
+      return {
+        id,
+        name,
+        approverField: typeof stage.approverField === 'string' ? stage.approverField.trim() : '',
+        approverGroups: normalizeNames(stage.approverGroups),
+        approverRoles: normalizeNames(stage.approverRoles),
+        policy: normalizePolicy(stage.policy) || { type: 'all' },
+      };
+    })
+    .filter(
+      (stage) =>
+        stage.approverField || stage.approverGroups.length > 0 || stage.approverRoles.length > 0
+    );
+};
+
+// Keeps only recognised, non-empty keys — an empty value means "inherit".
+export const normalizeSettings = (settings) => {
+  if (!settings || typeof settings !== 'object') {
+    return {};
+  }
+
+  const normalized = {};
+  STRING_KEYS.forEach((key) => {
+    const value = typeof settings[key] === 'string' ? settings[key].trim() : '';
+    if (value) {
+      normalized[key] = value;
+    }
+  });
+
+  // 0 is a real value here (step disabled); only blank inherits
+  NUMBER_KEYS.forEach((key) => {
+    if (settings[key] === '' || settings[key] === null || settings[key] === undefined) {
+      return;
+    }
+    const value = Number(settings[key]);
+    if (Number.isFinite(value) && value >= 0) {
+      normalized[key] = value;
+    }
+  });
+
+  ['approverGroups', 'approverRoles', 'guardedStatuses'].forEach((key) => {
+    const names = normalizeNames(settings[key]);
+    if (names.length > 0) {
+      normalized[key] = names;
+    }
+  });
+
+  const policy = normalizePolicy(settings.policy);
+  if (policy) {
+    normalized.policy = policy;
+  }
+
+  // An empty list inherits like any other unset value — use invalidationMode 'off' to disable
+  const sensitiveFields = Array.isArray(settings.sensitiveFields)
+    ? settings.sensitiveFields.filter((id) => typeof id === 'string' && id)
+    : [];
+  if (sensitiveFields.length > 0) {
+    normalized.sensitiveFields = sensitiveFields;
+  }
+
+  if (INVALIDATION_MODES.includes(settings.invalidationMode)) {
+    normalized.invalidationMode = settings.invalidationMode;
+  }
+
+  const visibility = settings.commentVisibility;
+  if (visibility && COMMENT_VISIBILITY_TYPES.includes(visibility.type)) {
+    const value = typeof visibility.value === 'string' ? visibility.value.trim() : '';
+    if (visibility.type === 'all') {
+      normalized.commentVisibility = { type: 'all' };
+    } else if (value) {
+      normalized.commentVisibility = { type: visibility.type, value };
+    }
+  }
+
+  const statusAppearances = {};
+  Object.entries(
+    settings.statusAppearances && typeof settings.statusAppearances === 'object'
+      ? settings.statusAppearances
+      : {}
+  ).forEach(([status, appearance]) => {
+    if (status.trim() && LOZENGE_APPEARANCES.includes(appearance)) {
+      statusAppearances[status.trim()] = appearance;
+    }
+  });
+  if (Object.keys(statusAppearances).length > 0) {
+    normalized.statusAppearances = statusAppearances;
+  }
+
+  const stages = normalizeStages(settings.stages);
+  if (stages.length > 0) {
+    normalized.stages = stages;
+  }
+
+  if (DECK_IDS.includes(settings.pokerDeck)) {
+    normalized.pokerDeck = settings.pokerDeck;
+  }
+
+  const pokerCustomDeck = normalizeCards(settings.pokerCustomDeck);
+  if (pokerCustomDeck.length > 0) {
+    normalized.pokerCustomDeck = pokerCustomDeck;
+  }
+
+  return normalized;
+};
+
+export const getStoredSettings = async (scope) =>
+  normalizeSettings(await storage.get(getStorageKey(scope)));
+
+export const saveStoredSettings = async (scope, settings) => {
+  const normalized = normalizeSettings(settings);
+  const key = getStorageKey(scope);
+
+  if (Object.keys(normalized).length === 0) {
+    await storage.delete(key);
+  } else {
+    await storage.set(key, normalized);
+  }
+
+  return normalized;
+};
+
+// Project keys that have an override stored
+export const listProjectScopes = async () => {
+  const prefix = `${STORAGE_PREFIX}:project:`;
+  const scopes = [];
+  let cursor;
+  do {
+    let query = storage.query().where('key', startsWith(prefix)).limit(100);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+    const page = await query.getMany();
+    page.results.forEach(({ key }) => scopes.push(key.slice(prefix.length)));
+    cursor = page.nextCursor;
+  } while (cursor);
+  return scopes;
+};
+
+// Effective settings for a project: defaults ← global ← project override
+export const getSettings = async (projectKey) => {
+  const [globalSettings, projectSettings] = await Promise.all([
+    getStoredSettings(GLOBAL_SCOPE),
+    projectKey && isValidScope(projectKey) ? getStoredSettings(projectKey) : {},
+  ]);
+
+  return { ...DEFAULT_SETTINGS, ...globalSettings, ...projectSettings };
+};
+
+// Effective settings for the site default and every project override (for cross-project jobs)
+export const getAllSettings = async () => {
+  const projectKeys = await listProjectScopes();
+  return Promise.all([getSettings(), ...projectKeys.map((projectKey) => getSettings(projectKey))]);
+};
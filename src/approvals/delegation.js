@@ -0,0 +1,140 @@
+import { startsWith, storage } from '@forge/api';
+
+// Out-of-office substitutes, one storage record per approver:
+//   approval-delegation:<accountId> → [{ delegate: { accountId, displayName }, from, to }]
+// `from` / `to` are inclusive YYYY-MM-DD dates.
+// A reverse index lets a lookup read only the approvers who named that substitute, however many
+// approvers an issue has:
+//   approval-delegation-to:<delegateAccountId> → [approverAccountId, ...]
+const STORAGE_PREFIX = 'approval-delegation';
+const INDEX_PREFIX = 'approval-delegation-to';
+const INDEX_BUILT_KEY = 'approval-delegation-index-built';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const getStorageKey = (accountId) => `${STORAGE_PREFIX}:${accountId}`;
+
+const getIndexKey = (delegateId) => `${INDEX_PREFIX}:${delegateId}`;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const normalizeDelegations = (value) =>
+  (Array.isArray(value) ? value : []).filter(
+    (d) => d?.delegate?.accountId && DATE_PATTERN.test(d.from) && DATE_PATTERN.test(d.to)
+  );
+
+export const isActive = (delegation, date = today()) =>
+  delegation.from <= date && date <= delegation.to;
+
+export const getDelegations = async (accountId) =>
+  normalizeDelegations(await storage.get(getStorageKey(accountId)));
+
+const getIndex = async (delegateId) => {
+  const value = await storage.get(getIndexKey(delegateId));
+  return Array.isArray(value) ? value : [];
+};
+
+const setIndex = async (delegateId, approverIds) => {
+  if (approverIds.length === 0) {
+    await storage.delete(getIndexKey(delegateId));
+  } else {
+    await storage.set(getIndexKey(delegateId), approverIds);
+  }
+};
+
+// Brings the index entries of every substitute in `before` / `after` in line with `after`
+const syncIndex = async (accountId, before, after) => {
+  const delegateIds = new Set([...before, ...after].map((d) => d.delegate.accountId));
+  await Promise.all(
+    Array.from(delegateIds).map(async (delegateId) => {
+      const others = (await getIndex(delegateId)).filter((id) => id !== accountId);
+      const listed = after.some((d) => d.delegate.accountId === delegateId);
+      await setIndex(delegateId, listed ? [...others, accountId] : others);
+    })
+  );
+};
+
+// Delegations stored before the index existed are indexed once, on the first lookup
+const ensureIndex = async () => {
+  if (await storage.get(INDEX_BUILT_KEY)) {
+    return;
+  }
+
+  const prefix = `${STORAGE_PREFIX}:`;
+  const byDelegate = new Map();
+  let cursor;
+  do {
+    let query = storage.query().where('key', startsWith(prefix)).limit(100);
+    if (cursor) {
+      query = query.cursor(cursor);
+    }
+    const page = await query.getMany();
+    page.results.forEach(({ key, value }) => {
+      const accountId = key.slice(prefix.length);
+      normalizeDelegations(value).forEach(({ delegate }) => {
+        const ids = byDelegate.get(delegate.accountId) || new Set();
+        byDelegate.set(delegate.accountId, ids.add(accountId));
+      });
+    });
+    cursor = page.nextCursor;
+  } while (cursor);
+
+  await Promise.all(
+    Array.from(byDelegate).map(async ([delegateId, ids]) => {
+      const indexed = await getIndex(delegateId);
+      await setIndex(delegateId, Array.from(new Set([...indexed, ...ids])));
+    })
+  );
+  await storage.set(INDEX_BUILT_KEY, true);
+};
+
+export const addDelegation = async (accountId, { delegate, from, to }) => {
+  if (!delegate?.accountId || !delegate?.displayName) {
+    throw new Error('A substitute is required.');
+  }
+  if (delegate.accountId === accountId) {
+    throw new Error('You cannot delegate to yourself.');
+  }
+  if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || from > to) {
+    throw new Error('Enter a valid date range (YYYY-MM-DD, start on or before end).');
+  }
+
+  // Expired ranges are dropped whenever the list is written
+  const stored = await getDelegations(accountId);
+  const next = [
+    ...stored.filter((d) => d.to >= today()),
+    { delegate: { accountId: delegate.accountId, displayName: delegate.displayName }, from, to },
+  ];
+  await storage.set(getStorageKey(accountId), next);
+  await syncIndex(accountId, stored, next);
+  return next;
+};
+
+export const removeDelegation = async (accountId, index) => {
+  const existing = await getDelegations(accountId);
+  const next = existing.filter((_, i) => i !== index);
+  if (next.length === 0) {
+    await storage.delete(getStorageKey(accountId));
+  } else {
+    await storage.set(getStorageKey(accountId), next);
+  }
+  await syncIndex(accountId, existing, next);
+  return next;
+};
+
+// Approvers (from `approvers`) who have an active delegation to `delegateId` today. Only the
+// approvers the index lists for `delegateId` are read.
+export const getActiveDelegators = async (delegateId, approvers) => {
+  await ensureIndex();
+  const indexed = await getIndex(delegateId);
+  const candidates = approvers.filter((approver) => indexed.includes(approver.accountId));
+  const results = await Promise.all(
+    candidates.map(async (approver) => {
+      const delegations = await getDelegations(approver.accountId);
+      const delegated = delegations.some(
+        (d) => d.delegate.accountId === delegateId && isActive(d)
+      );
+      return delegated ? approver : null;
+    })
+  );
+  return results.filter(Boolean);
+};
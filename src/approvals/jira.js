@@ -0,0 +1,285 @@
+import api, { route } from '@forge/api';
+
+// Jira REST helpers shared by the resolvers and triggers.
+// Resolvers act as the signed-in user; triggers pass `api.asApp()` instead.
+
+// `names` (field id → display name) is expanded so field ids can be shown to people
+export async function getIssueByKeyOrId(idOrKey, requester = api.asUser()) {
+  const res = await requester.requestJira(route`/rest/api/3/issue/${idOrKey}?expand=names`);
+  if (!res.ok) throw new Error(`Issue fetch failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+export async function getMyself() {
+  const res = await api.asUser().requestJira(route`/rest/api/3/myself`);
+  if (!res.ok) throw new Error(`myself fetch failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+export async function getUser(accountId, requester = api.asApp()) {
+  const res = await requester.requestJira(route`/rest/api/3/user?accountId=${accountId}`);
+  if (!res.ok) throw new Error(`User fetch failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+export async function getStatus(statusId, requester = api.asUser()) {
+  const res = await requester.requestJira(route`/rest/api/3/status/${statusId}`);
+  if (!res.ok) throw new Error(`Status fetch failed: ${res.status} ${await res.text()}`);
+  return res.json();
+}
+
+// Jira's 400 body ({ errorMessages, errors }) as one readable line
+async function describeFailure(res) {
+  const text = await res.text();
+  try {
+    const body = JSON.parse(text);
+    const messages = [...(body.errorMessages || []), ...Object.values(body.errors || {})];
+    if (messages.length > 0) return messages.join('; ');
+  } catch {
+    // Not JSON — fall through to the raw body
+  }
+  return text;
+}
+
+// First available transition whose target status matches `statusName` (case-insensitive),
+// with its screen fields (`fields`: { [fieldId]: { required, name, schema, allowedValues, … } })
+export async function findTransition(issueId, statusName, requester = api.asUser()) {
+  const res = await requester.requestJira(
+    route`/rest/api/3/issue/${issueId}/transitions?expand=transitions.fields`
+  );
+  if (!res.ok) throw new Error(`Transitions fetch failed: ${res.status} ${await res.text()}`);
+  const transitions = (await res.json())?.transitions || [];
+  return (
+    transitions.find(t => String(t?.to?.name || '').toLowerCase() === statusName.toLowerCase()) ||
+    null
+  );
+}
+
+// Screen fields the user has to fill in (required and without a default value)
+export function getRequiredTransitionFields(transition) {
+  return Object.entries(transition?.fields || {})
+    .filter(([, meta]) => meta?.required && !meta.hasDefaultValue)
+    .map(([fieldId, meta]) => ({
+      fieldId,
+      name: meta.name || fieldId,
+      type: meta.schema?.type || 'string',
+      items: meta.schema?.items || null,
+      allowedValues: (meta.allowedValues || []).map(v => ({
+        id: String(v.id),
+        label: v.name || v.value || String(v.id),
+      })),
+    }));
+}
+
+// Plain text as an Atlassian Document Format paragraph
+const textToAdf = text => ({
+  type: 'doc',
+  version: 1,
+  content: [{ type: 'paragraph', content: [{ type: 'text', text }] }],
+});
+
+// Rich-text system fields take ADF in the v3 API
+const ADF_FIELDS = ['description', 'environment'];
+
+const toFieldValue = (field, raw) => {
+  const type = field.type === 'array' ? field.items : field.type;
+  const one = value => {
+    if (field.allowedValues.length > 0) return { id: String(value) };
+    if (type === 'user') return { accountId: String(value) };
+    if (type === 'number') return Number(value);
+    if (ADF_FIELDS.includes(field.fieldId)) return textToAdf(String(value));
+    return value;
+  };
+  return field.type === 'array' ? [].concat(raw).map(one) : one(raw);
+};
+
+// Panel form values ({ [fieldId]: value }) → the { fields, update } part of a transition request.
+// A required comment goes through `update`, like Jira's own transition screen.
+export function toTransitionScreen(requiredFields, values = {}) {
+  const fields = {};
+  const update = {};
+  const missing = [];
+  requiredFields.forEach(field => {
+    const raw = values[field.fieldId];
+    if (raw === undefined || raw === null || raw === '' || (Array.isArray(raw) && raw.length === 0)) {
+      missing.push(field.name);
+    } else if (field.fieldId === 'comment') {
+      update.comment = [{ add: { body: textToAdf(String(raw)) } }];
+    } else {
+      fields[field.fieldId] = toFieldValue(field, raw);
+    }
+  });
+  if (missing.length > 0) {
+    throw new Error(`Fill in the required fields: ${missing.join(', ')}`);
+  }
+
+  return {
+    ...(Object.keys(fields).length > 0 ? { fields } : {}),
+    ...(Object.keys(update).length > 0 ? { update } : {}),
+  };
+}
+
+// Runs the transition into `statusName`; `screen` carries transition-screen values ({ fields, update })
+export async function transitionTo(issueId, statusName, requester = api.asUser(), screen = {}) {
+  const target = await findTransition(issueId, statusName, requester);
+  if (!target) throw new Error(`No transition to "${statusName}" available`);
+
+  const res = await requester.requestJira(route`/rest/api/3/issue/${issueId}/transitions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ transition: { id: target.id }, ...screen }),
+  });
+  if (!res.ok) throw new Error(`Transition failed: ${res.status} ${await describeFailure(res)}`);
+}
+
+export async function updateIssueFields(issueId, fields, requester = api.asUser()) {
+  const res = await requester.requestJira(route`/rest/api/3/issue/${issueId}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fields }),
+  });
+  if (!res.ok) throw new Error(`Issue update failed: ${res.status} ${await res.text()}`);
+}
+
+// Comment from an ADF document; `visibility` ({ type: 'role' | 'group', value }) restricts who sees it
+export async function addAdfComment(issueId, body, requester = api.asUser(), visibility = null) {
+  const res = await requester.requestJira(route`/rest/api/3/issue/${issueId}/comment`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(visibility ? { body, visibility } : { body }),
+  });
+  if (!res.ok) throw new Error(`Comment failed: ${res.status} ${await res.text()}`);
+}
+
+// Plain-text comment (v3 API expects Atlassian Document Format)
+export async function addComment(issueId, text, requester = api.asUser()) {
+  await addAdfComment(issueId, textToAdf(text), requester);
+}
+
+// Quoted JQL value, e.g. a status name with spaces
+export const jqlQuote = value => `"${String(value).replace(/(["\\])/g, '\\$1')}"`;
+
+// One page of a JQL search: { issues, nextPageToken }; nextPageToken is null on the last page
+export async function searchIssuesPage(
+  jql,
+  fields,
+  { maxResults = 50, nextPageToken } = {},
+  requester = api.asUser()
+) {
+  const res = await requester.requestJira(route`/rest/api/3/search/jql`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ jql, fields, maxResults, nextPageToken: nextPageToken || undefined }),
+  });
+  if (!res.ok) throw new Error(`Search failed: ${res.status} ${await res.text()}`);
+  const page = await res.json();
+  return { issues: page?.issues || [], nextPageToken: page?.nextPageToken || null };
+}
+
+// Issues matching `jql`, following nextPageToken pagination (enhanced search), up to `limit`
+export async function searchIssues(jql, fields, requester = api.asUser(), limit = Infinity) {
+  const issues = [];
+  let nextPageToken;
+  do {
+    const page = await searchIssuesPage(
+      jql,
+      fields,
+      { maxResults: Math.min(100, limit - issues.length), nextPageToken },
+      requester
+    );
+    issues.push(...page.issues);
+    nextPageToken = page.nextPageToken;
+  } while (nextPageToken && issues.length < limit);
+  return issues;
+}
+
+// When the issue last changed status (ISO timestamp), or null if it never has
+export async function getLastStatusChange(issueId, requester = api.asUser()) {
+  const fetchPage = async (startAt, maxResults) => {
+    const res = await requester.requestJira(
+      route`/rest/api/3/issue/${issueId}/changelog?startAt=${startAt}&maxResults=${maxResults}`
+    );
+    if (!res.ok) throw new Error(`Changelog fetch failed: ${res.status} ${await res.text()}`);
+    return res.json();
+  };
+
+  // The changelog is oldest first, so walk back from the last page
+  const { total = 0 } = await fetchPage(0, 1);
+  let startAt = Math.max(total - 100, 0);
+  while (total > 0) {
+    const values = (await fetchPage(startAt, 100))?.values || [];
+    const change = [...values]
+      .reverse()
+      .find(h => (h.items || []).some(i => (i.fieldId || i.field) === 'status'));
+    if (change) return change.created;
+    if (startAt === 0) break;
+    startAt = Math.max(startAt - 100, 0);
+  }
+  return null;
+}
+
+// Email / in-app notification through Jira's notify endpoint
+// `to`: { users: [{ accountId }], groups: [{ name }] }
+export async function notifyIssue(issueId, { subject, textBody, to }, requester = api.asUser()) {
+  const res = await requester.requestJira(route`/rest/api/3/issue/${issueId}/notify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ subject, textBody, to }),
+  });
+  if (!res.ok) throw new Error(`Notify failed: ${res.status} ${await res.text()}`);
+}
+
+// Active members of a Jira group, following pagination
+export async function getGroupMembers(groupName, requester = api.asApp()) {
+  const members = [];
+  let startAt = 0;
+  let isLast = false;
+  while (!isLast) {
+    const res = await requester.requestJira(
+      route`/rest/api/3/group/member?groupname=${groupName}&startAt=${startAt}&maxResults=50`
+    );
+    if (!res.ok) {
+      throw new Error(`Group "${groupName}" fetch failed: ${res.status} ${await res.text()}`);
+    }
+    const page = await res.json();
+    const values = page?.values || [];
+    members.push(...values.filter(u => u?.accountId && u.accountType !== 'app'));
+    startAt += values.length;
+    isLast = page?.isLast !== false || values.length === 0;
+  }
+  return members;
+}
+
+// Names of the groups a user belongs to
+export async function getUserGroups(accountId, requester = api.asApp()) {
+  const res = await requester.requestJira(route`/rest/api/3/user/groups?accountId=${accountId}`);
+  if (!res.ok) throw new Error(`User groups fetch failed: ${res.status} ${await res.text()}`);
+  return ((await res.json()) || []).map(g => g.name);
+}
+
+// Actors of a project role by role name: { users: [{ accountId, displayName }], groups: [name] }
+export async function getProjectRoleActors(projectKey, roleName, requester = api.asApp()) {
+  const rolesRes = await requester.requestJira(route`/rest/api/3/project/${projectKey}/role`);
+  if (!rolesRes.ok) {
+    throw new Error(`Project roles fetch failed: ${rolesRes.status} ${await rolesRes.text()}`);
+  }
+  const roles = await rolesRes.json();
+  const roleUrl = Object.entries(roles || {}).find(
+    ([name]) => name.toLowerCase() === String(roleName).toLowerCase()
+  )?.[1];
+  if (!roleUrl) return { users: [], groups: [] };
+
+  const roleId = String(roleUrl).split('/').pop();
+  const res = await requester.requestJira(route`/rest/api/3/project/${projectKey}/role/${roleId}`);
+  if (!res.ok) throw new Error(`Project role fetch failed: ${res.status} ${await res.text()}`);
+  const actors = (await res.json())?.actors || [];
+
+  return {
+    users: actors
+      .filter(a => a.type === 'atlassian-user-role-actor' && a.actorUser?.accountId)
+      .map(a => ({ accountId: a.actorUser.accountId, displayName: a.displayName })),
+    groups: actors
+      .filter(a => a.type === 'atlassian-group-role-actor' && a.actorGroup?.name)
+      .map(a => a.actorGroup.name),
+  };
+}
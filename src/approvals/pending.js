@@ -0,0 +1,139 @@
+import { getSettings, listProjectScopes } from './config';
+import {
+  findTransition,
+  getProjectRoleActors,
+  getRequiredTransitionFields,
+  getUserGroups,
+  jqlQuote,
+  searchIssuesPage,
+} from './jira';
+import { evaluateStages, getIssueWithSettings, getStages, resolveStages } from './quorum';
+import { approvedIds, readApprovalRecord, recordDecision } from './record';
+
+// A page with nothing pending for `me` moves on to the next one, but never more than this many
+// searches per call, so one gadget load stays bounded
+const MAX_SCAN_PAGES = 3;
+
+// customfield_10003 → cf[10003]; system fields keep their id
+const toJqlField = fieldId => {
+  const match = /^customfield_(\d+)$/.exec(fieldId);
+  return match ? `cf[${match[1]}]` : fieldId;
+};
+
+// Whether `me` is an actor of any of the project's roles, directly or through a group
+async function inProjectRoles(projectKey, roleNames, me, myGroups) {
+  for (const roleName of roleNames) {
+    const actors = await getProjectRoleActors(projectKey, roleName);
+    if (actors.users.some(u => u.accountId === me.accountId)) return true;
+    if (actors.groups.some(g => myGroups.includes(g))) return true;
+  }
+  return false;
+}
+
+// JQL matching every issue that may wait on `me`, or null if none can.
+// Approver fields become `cf[N] = currentUser()`. JQL cannot ask whether the current user is in a
+// stage's groups or roles, so membership is checked here instead: if `me` is in one, every issue in
+// that scope's review status is a candidate. Roles on the site default have no project to look in,
+// so any role there makes all issues in its review status candidates.
+async function buildPendingJql(me, projectKey) {
+  const projectKeys = await listProjectScopes();
+  const scopes = await Promise.all([
+    getSettings().then(settings => ({ projectKey: null, settings })),
+    ...projectKeys.map(key => getSettings(key).then(settings => ({ projectKey: key, settings }))),
+  ]);
+
+  let myGroups = null;
+  const clauses = new Set();
+  for (const scope of scopes) {
+    const status = `status = ${jqlQuote(scope.settings.requiredStatus)}`;
+    for (const stage of getStages(scope.settings)) {
+      if (stage.approverField) {
+        clauses.add(`(${status} AND ${toJqlField(stage.approverField)} = currentUser())`);
+      }
+
+      const groups = stage.approverGroups || [];
+      const roles = stage.approverRoles || [];
+      if (groups.length === 0 && roles.length === 0) continue;
+      if (!myGroups) myGroups = await getUserGroups(me.accountId);
+
+      const member =
+        groups.some(g => myGroups.includes(g)) ||
+        (roles.length > 0 &&
+          (!scope.projectKey || (await inProjectRoles(scope.projectKey, roles, me, myGroups))));
+      if (!member) continue;
+      const inProject = scope.projectKey ? ` AND project = ${jqlQuote(scope.projectKey)}` : '';
+      clauses.add(`(${status}${inProject})`);
+    }
+  }
+  if (clauses.size === 0) return null;
+
+  const projectClause = projectKey ? ` AND project = ${jqlQuote(projectKey)}` : '';
+  return `(${Array.from(clauses).join(' OR ')})${projectClause} ORDER BY updated DESC`;
+}
+
+// The issue as a gadget row if its active stage still needs `me`, otherwise null.
+// `transitionFields` names the approve screen's required fields when `me` would cast the last vote:
+// only the issue panel can collect them.
+async function toPendingRow(id, me, requester) {
+  const { issue, settings, statusName } = await getIssueWithSettings(id, requester);
+  if (statusName !== settings.requiredStatus) return null;
+
+  const [record, stages] = await Promise.all([
+    readApprovalRecord(issue.id, requester),
+    resolveStages(issue, settings, requester),
+  ]);
+  const stage = evaluateStages(stages, record).activeStage;
+  if (
+    !stage ||
+    !stage.approvers.some(u => u.accountId === me.accountId) ||
+    approvedIds(record, stage.id).includes(me.accountId)
+  ) {
+    return null;
+  }
+
+  const withVote = recordDecision(record, { user: me, decision: 'approved', stage: stage.id });
+  const transitionFields = evaluateStages(stages, withVote).met
+    ? getRequiredTransitionFields(
+        await findTransition(issue.id, settings.targetStatus, requester)
+      ).map(field => field.name)
+    : [];
+
+  return {
+    id: issue.id,
+    key: issue.key,
+    summary: issue.fields?.summary || '',
+    projectKey: issue.fields?.project?.key || '',
+    projectName: issue.fields?.project?.name || '',
+    statusName,
+    stageName: stage.name,
+    approvedCount: stage.approvedCount,
+    requiredApprovals: stage.required,
+    transitionFields,
+  };
+}
+
+// One page of issues waiting on the signed-in user's vote, newest update first:
+// { issues, nextPageToken }. The JQL itself is paged; only the candidates on the fetched page are
+// checked against their project's settings, so a page can hold fewer than `maxResults` issues while
+// `nextPageToken` still leads to more.
+export async function findPendingApprovals(
+  me,
+  { projectKey, pageToken, maxResults = 10 } = {},
+  requester
+) {
+  const jql = await buildPendingJql(me, projectKey);
+  if (!jql) return { issues: [], nextPageToken: null };
+
+  const issues = [];
+  let nextPageToken = pageToken || null;
+  let scanned = 0;
+  do {
+    const page = await searchIssuesPage(jql, ['status'], { maxResults, nextPageToken }, requester);
+    const rows = await Promise.all(page.issues.map(({ id }) => toPendingRow(id, me, requester)));
+    issues.push(...rows.filter(Boolean));
+    nextPageToken = page.nextPageToken;
+    scanned += 1;
+  } while (issues.length === 0 && nextPageToken && scanned < MAX_SCAN_PAGES);
+
+  return { issues, nextPageToken };
+}
@@ -0,0 +1,173 @@
+import { getSettings } from './config';
+import { getGroupMembers, getIssueByKeyOrId, getProjectRoleActors } from './jira';
+import { DEFAULT_STAGE_ID, approvedIds } from './record';
+
+// Issue + the settings that apply to its project
+export async function getIssueWithSettings(idOrKey, requester) {
+  const issue = await getIssueByKeyOrId(idOrKey, requester);
+  const settings = await getSettings(issue?.fields?.project?.key);
+  const statusName = issue?.fields?.status?.name || 'Unknown';
+  return { issue, settings, statusName };
+}
+
+// Configured stages in order, or a single implicit stage from the top-level approver settings
+export function getStages(settings) {
+  if (Array.isArray(settings.stages) && settings.stages.length > 0) {
+    return settings.stages;
+  }
+  return [
+    {
+      id: DEFAULT_STAGE_ID,
+      name: 'Approval',
+      approverField: settings.approverField,
+      approverGroups: settings.approverGroups || [],
+      approverRoles: settings.approverRoles || [],
+      policy: settings.policy,
+    },
+  ];
+}
+
+// Multi-user fields hold an array, single-user fields one user object
+export function getFieldUsers(issue, fieldId) {
+  const value = issue?.fields?.[fieldId];
+  if (Array.isArray(value)) return value.filter(u => u?.accountId);
+  return value?.accountId ? [value] : [];
+}
+
+// Expands every stage's approver sources (issue field, Jira groups, project roles) into people.
+// Someone reachable through several sources is listed once, so they still cast a single vote.
+// `groupMembers` maps each Jira group (or "role:<name>") to its account IDs for the 'groups' policy.
+export async function resolveStages(issue, settings, requester) {
+  const projectKey = issue?.fields?.project?.key;
+  const groupCache = new Map();
+  const membersOf = (groupName) => {
+    if (!groupCache.has(groupName)) {
+      groupCache.set(groupName, getGroupMembers(groupName, requester));
+    }
+    return groupCache.get(groupName);
+  };
+
+  return Promise.all(
+    getStages(settings).map(async stage => {
+      const byId = new Map();
+      const groupMembers = {};
+      const add = users => users.forEach(u => !byId.has(u.accountId) && byId.set(u.accountId, u));
+
+      if (stage.approverField) {
+        add(getFieldUsers(issue, stage.approverField));
+      }
+
+      for (const groupName of stage.approverGroups || []) {
+        const members = await membersOf(groupName);
+        groupMembers[groupName] = members.map(u => u.accountId);
+        add(members);
+      }
+
+      for (const roleName of stage.approverRoles || []) {
+        if (!projectKey) break;
+        const actors = await getProjectRoleActors(projectKey, roleName, requester);
+        const roleUsers = [...actors.users];
+        for (const groupName of actors.groups) {
+          roleUsers.push(...(await membersOf(groupName)));
+        }
+        groupMembers[`role:${roleName}`] = Array.from(new Set(roleUsers.map(u => u.accountId)));
+        add(roleUsers);
+      }
+
+      return { ...stage, approvers: Array.from(byId.values()), groupMembers };
+    })
+  );
+}
+
+// Checks recorded votes against an approval policy.
+// Only votes from currently listed approvers count; `remaining` lists who can still close the gap.
+export function evaluateQuorum(approvers, votes, policy) {
+  const approverIds = approvers.map(u => u?.accountId).filter(Boolean);
+  const counted = votes.filter(id => approverIds.includes(id));
+  const pending = approvers.filter(u => u?.accountId && !counted.includes(u.accountId));
+  const total = approverIds.length;
+
+  if (policy.type === 'groups') {
+    // A group without any listed approver stays missing (the approver list has to change), and a
+    // policy without groups is never met — neither may let the issue through without a vote
+    const groups = Object.entries(policy.groups || {}).map(([name, ids]) => [
+      name,
+      (ids || []).filter(id => approverIds.includes(id)),
+    ]);
+    const missingGroups = groups
+      .filter(([, ids]) => !ids.some(id => counted.includes(id)))
+      .map(([name]) => name);
+    const remaining = pending.filter(u =>
+      groups.some(([name, ids]) => missingGroups.includes(name) && ids.includes(u.accountId))
+    );
+    return {
+      met: total > 0 && groups.length > 0 && missingGroups.length === 0,
+      approvedCount: counted.length,
+      required: groups.length,
+      missingGroups,
+      remaining,
+    };
+  }
+
+  let required;
+  if (policy.type === 'count') {
+    required = Math.min(Math.max(Number(policy.required) || 1, 1), total);
+  } else if (policy.type === 'percentage') {
+    required = Math.max(Math.ceil((total * (Number(policy.percent) || 100)) / 100), 1);
+  } else {
+    required = total;
+  }
+
+  return {
+    met: total > 0 && counted.length >= required,
+    approvedCount: counted.length,
+    required,
+    missingGroups: [],
+    remaining: pending,
+  };
+}
+
+// Walks the resolved stages in order: the first stage below quorum is active, the ones after it wait.
+// `met` is true once every stage has reached quorum.
+export function evaluateStages(resolvedStages, record) {
+  let activeFound = false;
+  const stages = resolvedStages.map(stage => {
+    const { approvers } = stage;
+    // A 'groups' policy without explicit groups uses the stage's Jira groups / project roles
+    const policy =
+      stage.policy.type === 'groups' && Object.keys(stage.policy.groups || {}).length === 0
+        ? { ...stage.policy, groups: stage.groupMembers }
+        : stage.policy;
+    const quorum = evaluateQuorum(approvers, approvedIds(record, stage.id), policy);
+
+    let state = 'done';
+    if (!quorum.met) {
+      state = activeFound ? 'waiting' : 'active';
+      activeFound = true;
+    }
+
+    return {
+      id: stage.id,
+      name: stage.name,
+      policyType: stage.policy.type,
+      approvers,
+      state,
+      ...quorum,
+    };
+  });
+
+  return {
+    stages,
+    activeStage: stages.find(s => s.state === 'active') || null,
+    met: stages.every(s => s.met),
+  };
+}
+
+// Everyone listed on any stage, once
+export function allApprovers(stageResult) {
+  const byId = new Map();
+  stageResult.stages.forEach(stage =>
+    stage.approvers.forEach(u => byId.set(u.accountId, u))
+  );
+  return Array.from(byId.values());
+}
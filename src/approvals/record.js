@@ -0,0 +1,314 @@
+import api, { route } from '@forge/api';
+import { randomUUID } from 'crypto';
+import { captureSnapshot, saveSnapshots } from './snapshot';
+
+// Approval decisions are kept on the issue in the `approvalVotes` property as a versioned record:
+//   {
+//     schemaVersion: 1,
+//     revision: 7,             bumped on every write (see updateApprovalRecord)
+//     writeId: '…',            random id of the write that produced this revision
+//     votes:   [entry, ...]   current decision per approver (what quorum is checked against)
+//     history: [entry, ...]   append-only audit trail, oldest first
+//   }
+// entry: { accountId, displayName, decision, stage, delegate, requestId, at, comment, status, fields,
+//          snapshot, stale }
+// `accountId` is the approver the decision counts for; `delegate` is who actually acted
+// when an out-of-office substitute voted on their behalf.
+// An approval marked `stale` (issue changed after sign-off) stays visible but no longer counts.
+// `stage` is the approval stage id; entries from before stages existed belong to the default stage.
+// `requestId` identifies the client action that produced the entry, so a retried request is not
+// applied twice.
+// `snapshot` is what the approver signed off (see snapshot.js). The property keeps only its hash; the
+// field values are in app storage, so the record stays under the property size limit.
+// `fields` are a few key fields at decision time (summary shortened); who was listed as an approver
+// is not repeated per entry.
+export const APPROVAL_PROPERTY_KEY = 'approvalVotes';
+export const SCHEMA_VERSION = 1;
+export const DEFAULT_STAGE_ID = 'default';
+
+// Issue properties are capped at 32 KB: the oldest history entries are dropped until the serialised
+// record fits under this many characters, and free text is shortened when an entry is built. If the
+// current votes alone do not fit, the write fails with a readable error instead of Jira's 400.
+const RECORD_SIZE_LIMIT = 30000;
+const COMMENT_LIMIT = 500;
+const SUMMARY_LIMIT = 120;
+
+// Concurrent writers are detected by reading back after the write; this many attempts before giving up
+const WRITE_ATTEMPTS = 4;
+
+export const emptyRecord = () => ({
+  schemaVersion: SCHEMA_VERSION,
+  revision: 0,
+  writeId: null,
+  votes: [],
+  history: [],
+});
+
+const truncate = (text, limit) =>
+  typeof text === 'string' && text.length > limit ? `${text.slice(0, limit - 1)}…` : text;
+
+const normalizeFields = (fields) =>
+  fields && typeof fields === 'object'
+    ? { ...fields, summary: truncate(fields.summary, SUMMARY_LIMIT) ?? null }
+    : null;
+
+const normalizeEntry = (entry) => ({
+  accountId: entry.accountId,
+  displayName: entry.displayName || null,
+  decision: entry.decision,
+  stage: entry.stage || DEFAULT_STAGE_ID,
+  delegate: entry.delegate?.accountId
+    ? { accountId: entry.delegate.accountId, displayName: entry.delegate.displayName || null }
+    : null,
+  requestId: entry.requestId || null,
+  at: entry.at || null,
+  comment: truncate(entry.comment, COMMENT_LIMIT) || null,
+  status: entry.status || null,
+  fields: normalizeFields(entry.fields),
+  snapshot:
+    typeof entry.snapshot?.hash === 'string'
+      ? { hash: entry.snapshot.hash, fields: entry.snapshot.fields || null }
+      : null,
+  stale: Boolean(entry.stale),
+});
+
+// Pre-record properties were a bare array: account IDs for approvals, objects for rejections.
+const migrateLegacyArray = (legacy) => {
+  const record = emptyRecord();
+  legacy.forEach((item) => {
+    if (typeof item === 'string' && item) {
+      const entry = normalizeEntry({ accountId: item, decision: 'approved' });
+      record.votes.push(entry);
+      record.history.push(entry);
+    } else if (item && typeof item === 'object' && item.decision === 'rejected') {
+      record.history.push(normalizeEntry({ ...item, comment: item.reason }));
+    }
+  });
+  return record;
+};
+
+export const normalizeRecord = (value) => {
+  if (Array.isArray(value)) {
+    return migrateLegacyArray(value);
+  }
+  if (!value || typeof value !== 'object') {
+    return emptyRecord();
+  }
+
+  const isEntry = (entry) => entry && typeof entry === 'object' && entry.accountId && entry.decision;
+  const revision = Math.floor(Number(value.revision));
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    revision: revision > 0 ? revision : 0,
+    writeId: typeof value.writeId === 'string' ? value.writeId : null,
+    votes: (Array.isArray(value.votes) ? value.votes : []).filter(isEntry).map(normalizeEntry),
+    history: (Array.isArray(value.history) ? value.history : []).filter(isEntry).map(normalizeEntry),
+  };
+};
+
+export async function readApprovalRecord(issueId, requester = api.asUser()) {
+  const res = await requester.requestJira(
+    route`/rest/api/3/issue/${issueId}/properties/${APPROVAL_PROPERTY_KEY}`
+  );
+  if (res.status === 404) return emptyRecord();
+  if (!res.ok) throw new Error(`Property fetch failed: ${res.status} ${await res.text()}`);
+  const p = await res.json();
+  return normalizeRecord(p.value);
+}
+
+export async function writeApprovalRecord(issueId, record, requester = api.asUser()) {
+  await saveSnapshots([...record.votes, ...record.history].map((e) => e.snapshot));
+  const hashOnly = (e) => (e.snapshot ? { ...e, snapshot: { hash: e.snapshot.hash } } : e);
+  const value = {
+    ...record,
+    schemaVersion: SCHEMA_VERSION,
+    votes: record.votes.map(hashOnly),
+    history: record.history.map(hashOnly),
+  };
+  // Oldest entries go first; the current votes are always kept
+  while (value.history.length > 0 && JSON.stringify(value).length > RECORD_SIZE_LIMIT) {
+    value.history = value.history.slice(1);
+  }
+  if (JSON.stringify(value).length > RECORD_SIZE_LIMIT) {
+    throw new Error(
+      `The approval record is full: ${value.votes.length} current decisions no longer fit on the ` +
+        'issue. Withdraw or reject to reset them, or use fewer approvers.'
+    );
+  }
+  const res = await requester.requestJira(
+    route`/rest/api/3/issue/${issueId}/properties/${APPROVAL_PROPERTY_KEY}`,
+    {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(value),
+    }
+  );
+  if (!res.ok) throw new Error(`Property update failed: ${res.status} ${await res.text()}`);
+  return value;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Read-modify-write with a revision check. Issue properties have no compare-and-set, so this only
+// narrows the race, it cannot close it: the record is read again right before the PUT and, if another
+// request wrote since (different revision/writeId), `mutate` runs again on the fresh record. After the
+// PUT the record is read back to confirm it is ours. Two writes landing between one writer's last read
+// and its PUT can still overwrite each other. `mutate` returns the record unchanged when there is
+// nothing to do (e.g. the request was already applied), which skips the write.
+export async function updateApprovalRecord(issueId, mutate, requester = api.asUser()) {
+  // Back off a little (with jitter) before re-applying on top of another write
+  const backOff = (attempt) => sleep(100 * attempt + Math.floor(Math.random() * 100));
+  const sameWrite = (a, b) => a.revision === b.revision && a.writeId === b.writeId;
+
+  for (let attempt = 1; attempt <= WRITE_ATTEMPTS; attempt += 1) {
+    const current = await readApprovalRecord(issueId, requester);
+    const next = mutate(current);
+    if (next === current) return current;
+
+    if (!sameWrite(await readApprovalRecord(issueId, requester), current)) {
+      await backOff(attempt);
+      continue;
+    }
+
+    const writeId = randomUUID();
+    const written = await writeApprovalRecord(
+      issueId,
+      { ...next, revision: current.revision + 1, writeId },
+      requester
+    );
+    const check = await readApprovalRecord(issueId, requester);
+    if (sameWrite(check, written)) return check;
+
+    await backOff(attempt);
+  }
+  throw new Error('The approval record is being updated by someone else — please try again');
+}
+
+// The history entry a client request produced, if it was already applied
+export const findRequest = (record, requestId) =>
+  (requestId && record.history.find((e) => e.requestId === requestId)) || null;
+
+// Compensation for a request whose later steps failed: its vote is removed and the history says why
+export function revertRequest(record, requestId, { comment }) {
+  const original = findRequest(record, requestId);
+  if (!original || !record.votes.some((v) => v.requestId === requestId)) {
+    return record;
+  }
+
+  const entry = normalizeEntry({
+    ...original,
+    decision: 'reverted',
+    requestId: null,
+    at: new Date().toISOString(),
+    comment,
+  });
+  return {
+    ...record,
+    votes: record.votes.filter((v) => v.requestId !== requestId),
+    history: [...record.history, entry],
+  };
+}
+
+// What the issue looked like when the decision was made
+export function captureIssueState(issue, settings) {
+  const f = issue?.fields || {};
+  return {
+    status: f.status?.name || null,
+    fields: {
+      summary: f.summary ?? null,
+      assignee: f.assignee?.accountId ?? null,
+      priority: f.priority?.name ?? null,
+      fixVersions: Array.isArray(f.fixVersions) ? f.fixVersions.map((v) => v.name) : [],
+    },
+    snapshot: captureSnapshot(issue, settings),
+  };
+}
+
+// Builds an entry and returns the record with it applied to both the current votes and the history.
+// Without a `stage`, a withdrawal removes the user's approvals on every stage.
+export function recordDecision(
+  record,
+  { user, delegate, decision, stage, requestId, comment, issueState }
+) {
+  const entry = normalizeEntry({
+    accountId: user.accountId,
+    displayName: user.displayName,
+    decision,
+    stage,
+    delegate,
+    requestId,
+    at: new Date().toISOString(),
+    comment,
+    ...issueState,
+  });
+
+  const others = record.votes.filter(
+    (v) => v.accountId !== user.accountId || (stage !== undefined && v.stage !== entry.stage)
+  );
+  const votes =
+    decision === 'rejected'
+      ? [entry] // a rejection resets every approval given so far
+      : decision === 'withdrawn'
+        ? others
+        : [...others, entry];
+
+  return { ...record, votes, history: [...record.history, entry] };
+}
+
+// Issue changed after sign-off: approvals are either dropped ('clear') or kept but flagged ('stale')
+export function invalidateApprovals(record, { user, mode, comment, issueState }) {
+  const entry = normalizeEntry({
+    accountId: user.accountId,
+    displayName: user.displayName,
+    decision: 'invalidated',
+    at: new Date().toISOString(),
+    comment,
+    ...issueState,
+  });
+
+  const votes =
+    mode === 'clear'
+      ? record.votes.filter((v) => v.decision !== 'approved')
+      : record.votes.map((v) => (v.decision === 'approved' ? { ...v, stale: true } : v));
+
+  return { ...record, votes, history: [...record.history, entry] };
+}
+
+// Account IDs with a live approval, optionally limited to one stage
+export const approvedIds = (record, stageId) =>
+  record.votes
+    .filter((v) => v.decision === 'approved' && !v.stale)
+    .filter((v) => stageId === undefined || v.stage === stageId)
+    .map((v) => v.accountId);
+
+// Each listed approver's state on a stage: approved, stale, rejected or pending, with the decision time
+// and, for approvals, the snapshot they signed.
+// A rejection resets the whole record, so it shows on the rejecting approver whatever the stage.
+export const approverStates = (record, stageId, approvers) =>
+  approvers.map((u) => {
+    const vote =
+      record.votes.find((v) => v.accountId === u.accountId && v.stage === stageId) ||
+      record.votes.find((v) => v.accountId === u.accountId && v.decision === 'rejected');
+    let state = 'pending';
+    if (vote?.decision === 'approved') state = vote.stale ? 'stale' : 'approved';
+    else if (vote?.decision === 'rejected') state = 'rejected';
+    return {
+      accountId: u.accountId,
+      displayName: u.displayName,
+      state,
+      at: state === 'pending' ? null : vote.at,
+      delegate: state === 'pending' ? null : vote.delegate,
+      snapshot: state === 'approved' || state === 'stale' ? vote.snapshot : null,
+    };
+  });
+
+export const delegatedVotes = (record) =>
+  record.votes.filter((v) => v.decision === 'approved' && !v.stale && v.delegate);
+
+export const staleVotes = (record) =>
+  record.votes.filter((v) => v.decision === 'approved' && v.stale);
+
+export function latestRejection(record) {
+  const rejections = record.history.filter((e) => e.decision === 'rejected');
+  return rejections.length > 0 ? rejections[rejections.length - 1] : null;
+}
@@ -0,0 +1,102 @@
+import { storage } from '@forge/api';
+import { createHash } from 'crypto';
+
+// What an approver signed off: the sensitive fields, the attachment list and the issue links.
+//   { hash, fields: { [fieldId]: { name, value, hash } } }
+// `hash` covers everything; per-field hashes find what changed, and `value` (shortened) is kept
+// so the panel can show the old text next to the new one.
+const VALUE_PREVIEW_LENGTH = 200;
+
+// The `approvalVotes` property only has room for each snapshot's hash: the snapshots themselves live
+// in app storage, one entry per hash, so approvers who signed the same content share it
+const STORAGE_PREFIX = 'approval-snapshot';
+
+const getStorageKey = (hash) => `${STORAGE_PREFIX}:${hash}`;
+
+const sha256 = (text) => createHash('sha256').update(text).digest('hex');
+
+// Plain text out of an ADF document (description, rich-text custom fields)
+const adfText = (node) => {
+  if (!node || typeof node !== 'object') return '';
+  if (node.type === 'text') return node.text || '';
+  if (node.type === 'mention') return node.attrs?.text || '';
+  const inner = (node.content || []).map(adfText).join('');
+  return ['paragraph', 'heading', 'listItem', 'codeBlock'].includes(node.type) ? `${inner}\n` : inner;
+};
+
+const itemText = (item) => {
+  if (item === null || item === undefined) return '';
+  if (typeof item !== 'object') return String(item);
+  if (item.type === 'doc') return adfText(item).trim();
+  return String(item.displayName ?? item.name ?? item.value ?? item.key ?? item.id ?? JSON.stringify(item));
+};
+
+const linkText = (link) =>
+  link.outwardIssue
+    ? `${link.type?.outward || 'relates to'} ${link.outwardIssue.key}`
+    : `${link.type?.inward || 'relates to'} ${link.inwardIssue?.key}`;
+
+// Comparable text per field; list order does not matter
+const fieldText = (fieldId, value) => {
+  if (fieldId === 'attachment') {
+    return (value || []).map((a) => `${a.filename} (${a.id})`).sort().join(', ');
+  }
+  if (fieldId === 'issuelinks') {
+    return (value || []).map(linkText).sort().join(', ');
+  }
+  if (Array.isArray(value)) return value.map(itemText).sort().join(', ');
+  return itemText(value);
+};
+
+const preview = (text) =>
+  text.length > VALUE_PREVIEW_LENGTH ? `${text.slice(0, VALUE_PREVIEW_LENGTH - 1)}…` : text;
+
+export function captureSnapshot(issue, settings) {
+  const fieldIds = Array.from(
+    new Set([...(settings.sensitiveFields || []), 'attachment', 'issuelinks'])
+  );
+  const fields = {};
+  fieldIds.forEach((fieldId) => {
+    const text = fieldText(fieldId, issue?.fields?.[fieldId]);
+    fields[fieldId] = {
+      name: issue?.names?.[fieldId] || fieldId,
+      value: preview(text),
+      hash: sha256(text),
+    };
+  });
+  const hash = sha256(fieldIds.map((id) => `${id}:${fields[id].hash}`).join('\n'));
+  return { hash, fields };
+}
+
+// Fields that differ between a stored snapshot and the issue now: [{ fieldId, name, before, after }]
+export function diffSnapshot(signed, current) {
+  if (!signed?.hash || !current?.hash || signed.hash === current.hash) return [];
+  const fieldIds = Array.from(
+    new Set([...Object.keys(signed.fields || {}), ...Object.keys(current.fields || {})])
+  );
+  return fieldIds
+    .filter((id) => signed.fields?.[id]?.hash !== current.fields?.[id]?.hash)
+    .map((id) => ({
+      fieldId: id,
+      name: current.fields?.[id]?.name || signed.fields?.[id]?.name || id,
+      before: signed.fields?.[id]?.value ?? null,
+      after: current.fields?.[id]?.value ?? null,
+    }));
+}
+
+// Stores snapshots that still carry their field values (each distinct hash once)
+export async function saveSnapshots(snapshots) {
+  const byHash = new Map(
+    snapshots.filter((snapshot) => snapshot?.hash && snapshot.fields).map((s) => [s.hash, s])
+  );
+  await Promise.all(
+    Array.from(byHash.values()).map((snapshot) => storage.set(getStorageKey(snapshot.hash), snapshot))
+  );
+}
+
+// Stored snapshots by hash; a hash with nothing stored is left out
+export async function loadSnapshots(hashes) {
+  const unique = Array.from(new Set(hashes.filter(Boolean)));
+  const loaded = await Promise.all(unique.map((hash) => storage.get(getStorageKey(hash))));
+  return new Map(unique.map((hash, i) => [hash, loaded[i]]).filter(([, snapshot]) => snapshot));
+}
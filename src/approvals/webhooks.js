@@ -0,0 +1,185 @@
+import { fetch, storage } from '@forge/api';
+import { Queue } from '@forge/events';
+import { createHmac, randomUUID } from 'crypto';
+
+// Outgoing approval events for downstream systems (deploy pipelines, audit tools).
+// Endpoints are site-wide and configured on the admin page:
+//   approval-webhooks → [{ id, url, events: ['approved', 'rejected', 'withdrawn'] }]
+// The signing secret is kept with storage.setSecret and never returned to the browser.
+// A delivery that fails is parked under approval-webhook-delivery:<id> and retried through the
+// approval-webhook-retries queue with back-off.
+const ENDPOINTS_KEY = 'approval-webhooks';
+const SECRET_KEY = 'approval-webhooks-secret';
+const DELIVERY_PREFIX = 'approval-webhook-delivery';
+
+export const WEBHOOK_EVENTS = ['approved', 'rejected', 'withdrawn'];
+export const RETRY_QUEUE_KEY = 'approval-webhook-retries';
+
+// Delay before retry n (seconds); after the last one the delivery is dropped
+const RETRY_DELAYS = [30, 120, 600, 900, 900];
+const TIMEOUT_MS = 5000;
+
+const retryQueue = new Queue({ key: RETRY_QUEUE_KEY });
+
+const getDeliveryKey = (id) => `${DELIVERY_PREFIX}:${id}`;
+
+const normalizeEndpoints = (value) =>
+  (Array.isArray(value) ? value : [])
+    .filter((e) => e && typeof e.url === 'string' && /^https:\/\/\S+$/.test(e.url.trim()))
+    .map((e) => {
+      const events = Array.isArray(e.events)
+        ? e.events.filter((ev) => WEBHOOK_EVENTS.includes(ev))
+        : [];
+      return {
+        id: typeof e.id === 'string' && e.id ? e.id : randomUUID(),
+        url: e.url.trim(),
+        events: events.length > 0 ? events : WEBHOOK_EVENTS,
+      };
+    });
+
+export const getWebhookEndpoints = async () => normalizeEndpoints(await storage.get(ENDPOINTS_KEY));
+
+export const hasWebhookSecret = async () => Boolean(await storage.getSecret(SECRET_KEY));
+
+// `secret` is only replaced when a new one is given; an empty endpoint list removes the key.
+// Every delivery is signed, so endpoints cannot be saved until a secret exists.
+export const saveWebhookSettings = async ({ endpoints, secret }) => {
+  const normalized = normalizeEndpoints(endpoints);
+  const newSecret = typeof secret === 'string' ? secret.trim() : '';
+  if (normalized.length > 0 && !newSecret && !(await hasWebhookSecret())) {
+    throw new Error('Enter a signing secret before adding webhook endpoints.');
+  }
+  if (normalized.length === 0) {
+    await storage.delete(ENDPOINTS_KEY);
+  } else {
+    await storage.set(ENDPOINTS_KEY, normalized);
+  }
+  if (newSecret) {
+    await storage.setSecret(SECRET_KEY, newSecret);
+  }
+  return normalized;
+};
+
+// "sha256=<hex>" over "<timestamp>.<body>", so a captured request cannot be replayed later
+export const signPayload = (secret, timestamp, body) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// One signed POST; resolves on 2xx, throws otherwise
+const send = async (delivery, secret) => {
+  if (!secret) throw new Error('No webhook signing secret is configured');
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const headers = {
+    'Content-Type': 'application/json',
+    'X-Approval-Event': delivery.event,
+    'X-Approval-Delivery': delivery.id,
+    'X-Approval-Timestamp': timestamp,
+    'X-Approval-Signature': signPayload(secret, timestamp, delivery.body),
+  };
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), TIMEOUT_MS);
+  try {
+    const res = await fetch(delivery.url, {
+      method: 'POST',
+      headers,
+      body: delivery.body,
+      signal: controller.signal,
+    });
+    if (!res.ok) throw new Error(`Webhook ${delivery.url} responded ${res.status}`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const scheduleRetry = async (delivery) => {
+  if (delivery.attempts > RETRY_DELAYS.length) {
+    console.error(
+      `Webhook delivery ${delivery.id} to ${delivery.url} dropped after ${delivery.attempts} attempts`
+    );
+    await storage.delete(getDeliveryKey(delivery.id));
+    return;
+  }
+  await storage.set(getDeliveryKey(delivery.id), delivery);
+  await retryQueue.push({
+    body: { deliveryId: delivery.id },
+    delayInSeconds: RETRY_DELAYS[delivery.attempts - 1],
+  });
+};
+
+// Event body: who decided what on which issue, and where quorum stands afterwards
+export const approvalEventPayload = (
+  issue,
+  { decision, principal, delegate, status, progress, comment }
+) => ({
+  issueKey: issue.key,
+  issueId: issue.id,
+  decision,
+  actor: {
+    accountId: (delegate || principal).accountId,
+    displayName: (delegate || principal).displayName || null,
+  },
+  onBehalfOf: delegate
+    ? { accountId: principal.accountId, displayName: principal.displayName || null }
+    : null,
+  status,
+  comment: comment || null,
+  quorum: {
+    met: progress.met,
+    activeStage: progress.activeStage?.id || null,
+    stages: progress.stages.map((stage) => ({
+      id: stage.id,
+      name: stage.name,
+      approvedCount: stage.approvedCount,
+      required: stage.required,
+      met: stage.met,
+    })),
+  },
+});
+
+// Delivers to every endpoint subscribed to `event`; failures are queued, never thrown
+export async function emitApprovalEvent(event, payload) {
+  try {
+    const endpoints = (await getWebhookEndpoints()).filter((e) => e.events.includes(event));
+    if (endpoints.length === 0) return;
+
+    // Never send an unsigned event (endpoints saved before a secret was required)
+    const secret = await storage.getSecret(SECRET_KEY);
+    if (!secret) {
+      console.error(`Approval webhooks for "${event}" not sent: no signing secret is configured`);
+      return;
+    }
+    const body = JSON.stringify({
+      event: `approval.${event}`,
+      sentAt: new Date().toISOString(),
+      ...payload,
+    });
+    await Promise.all(
+      endpoints.map(async (endpoint) => {
+        const delivery = { id: randomUUID(), event, url: endpoint.url, body, attempts: 1 };
+        try {
+          await send(delivery, secret);
+        } catch (e) {
+          console.warn(`Webhook delivery to ${endpoint.url} failed, queued for retry: ${e?.message || e}`);
+          await scheduleRetry(delivery);
+        }
+      })
+    );
+  } catch (e) {
+    console.error(`Approval webhooks for "${event}" failed: ${e?.message || e}`);
+  }
+}
+
+// Queue consumer side: one more attempt for a parked delivery
+export async function retryDelivery(deliveryId) {
+  const delivery = await storage.get(getDeliveryKey(deliveryId));
+  if (!delivery) return;
+
+  const next = { ...delivery, attempts: delivery.attempts + 1 };
+  try {
+    await send(next, await storage.getSecret(SECRET_KEY));
+    await storage.delete(getDeliveryKey(deliveryId));
+  } catch (e) {
+    console.warn(`Webhook retry ${next.attempts} to ${next.url} failed: ${e?.message || e}`);
+    await scheduleRetry(next);
+  }
+}
@@ -0,0 +1,6 @@
+import { processReminderEvent } from '../triggers/reminders';
+
+// consumer on the approval-reminders queue — a page of the reminder search, or one issue to check
+export const handler = async (event) => {
+  await processReminderEvent(event?.body);
+};
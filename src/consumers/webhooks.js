@@ -0,0 +1,8 @@
+import { retryDelivery } from '../approvals/webhooks';
+
+// consumer on the approval-webhook-retries queue — one more attempt for a parked delivery
+export const handler = async (event) => {
+  const deliveryId = event?.body?.deliveryId;
+  if (!deliveryId) return;
+  await retryDelivery(deliveryId);
+};
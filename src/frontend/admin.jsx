@@ -0,0 +1,883 @@
+import React, { useCallback, useEffect, useMemo, useState } from 'react';
+import ForgeReconciler, {
+  Button,
+  Form,
+  FormFooter,
+  Heading,
+  Label,
+  SectionMessage,
+  Select,
+  Spinner,
+  Stack,
+  Text,
+  TextArea,
+  Textfield,
+  UserPicker,
+} from '@forge/react';
+import { invoke, requestJira } from '@forge/bridge';
+
+const GLOBAL_SCOPE = 'global';
+
+const POLICY_OPTIONS = [
+  { label: 'All approvers', value: 'all' },
+  { label: 'N of M approvers', value: 'count' },
+  { label: 'Percentage of approvers', value: 'percentage' },
+  { label: 'At least one from each group', value: 'groups' },
+];
+
+const INVALIDATION_OPTIONS = [
+  { label: 'Mark approvals as stale', value: 'stale' },
+  { label: 'Clear approvals', value: 'clear' },
+  { label: 'Keep approvals (off)', value: 'off' },
+];
+
+const VISIBILITY_OPTIONS = [
+  { label: 'All users', value: 'all' },
+  { label: 'Project role', value: 'role' },
+  { label: 'Group', value: 'group' },
+];
+
+const APPEARANCE_OPTIONS = [
+  { label: 'Grey (default)', value: 'default' },
+  { label: 'Blue (inprogress)', value: 'inprogress' },
+  { label: 'Yellow (moved)', value: 'moved' },
+  { label: 'Purple (new)', value: 'new' },
+  { label: 'Red (removed)', value: 'removed' },
+  { label: 'Green (success)', value: 'success' },
+];
+
+// { status: appearance } <-> [{ status, appearance }] rows for the editor
+const appearancesToRows = (map) =>
+  Object.entries(map ?? {}).map(([status, appearance]) => ({ status, appearance }));
+
+const rowsToAppearances = (rows) =>
+  Object.fromEntries(
+    rows.filter((row) => row.status && row.appearance).map((row) => [row.status, row.appearance])
+  );
+
+const WEBHOOK_EVENT_OPTIONS = [
+  { label: 'Approved', value: 'approved' },
+  { label: 'Rejected', value: 'rejected' },
+  { label: 'Withdrawn', value: 'withdrawn' },
+];
+
+const DECK_OPTIONS = [
+  { label: 'Fibonacci (0, 1, 2, 3, 5, 8, 13, 21, ?, ☕)', value: 'fibonacci' },
+  { label: 'T-shirt sizes (XS – XXL, ?, ☕)', value: 'tshirt' },
+  { label: 'Powers of two (0, 1, 2, 4 … 32, ?, ☕)', value: 'powers' },
+  { label: 'Custom', value: 'custom' },
+];
+
+// "1, 2, 3, ?" <-> ['1', '2', '3', '?']
+const textToCards = (text) =>
+  String(text || '')
+    .split(',')
+    .map((card) => card.trim())
+    .filter(Boolean);
+
+const SLA_KEYS = [
+  { key: 'reminderAfterHours', label: 'Remind approvers after (hours, repeats)' },
+  { key: 'escalateAfterHours', label: 'Escalate after (hours)' },
+];
+
+const STATUS_KEYS = [
+  { key: 'requiredStatus', label: 'Review status (Approve/Reject allowed here)' },
+  { key: 'targetStatus', label: 'Status after approval' },
+  { key: 'rejectStatus', label: 'Status after rejection' },
+];
+
+const FIELD_KEYS = [
+  { key: 'approverField', label: 'Approvers field (multi-user)' },
+  { key: 'approvalDateField', label: 'Approval date field' },
+  { key: 'approvalGivenByField', label: 'Approval given by field (single-user, optional)' },
+];
+
+const fetchJson = async (path, init) => {
+  const res = await requestJira(path, init);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  if (res.status === 204) return null;
+  const text = await res.text();
+  return text ? JSON.parse(text) : null;
+};
+
+const fetchAllProjects = async () => {
+  const projects = [];
+  let startAt = 0;
+  let isLast = false;
+  while (!isLast) {
+    const page = await fetchJson(`/rest/api/3/project/search?startAt=${startAt}&maxResults=50`);
+    projects.push(...(page?.values ?? []));
+    startAt += page?.values?.length ?? 0;
+    isLast = page?.isLast ?? true;
+  }
+  return projects;
+};
+
+const fetchAllGroups = async () => {
+  const groups = [];
+  let startAt = 0;
+  let isLast = false;
+  while (!isLast) {
+    const page = await fetchJson(`/rest/api/3/group/bulk?startAt=${startAt}&maxResults=50`);
+    groups.push(...(page?.values ?? []));
+    startAt += page?.values?.length ?? 0;
+    isLast = page?.isLast ?? true;
+  }
+  return groups;
+};
+
+const toNameOptions = (names) => names.map((name) => ({ label: name, value: name }));
+
+// "name: id1, id2" per line <-> { name: [id1, id2] }. Only the first colon ends the name: classic
+// account IDs contain one (557058:f58131cb-…)
+const groupsToText = (groups) =>
+  Object.entries(groups || {})
+    .map(([name, ids]) => `${name}: ${ids.join(', ')}`)
+    .join('\n');
+
+const textToGroups = (text) => {
+  const groups = {};
+  String(text || '')
+    .split('\n')
+    .forEach((line) => {
+      const colon = line.indexOf(':');
+      if (colon === -1) return;
+      const name = line.slice(0, colon).trim();
+      const ids = line.slice(colon + 1);
+      if (!name) return;
+      groups[name] = ids
+        .split(',')
+        .map((id) => id.trim())
+        .filter(Boolean);
+    });
+  return groups;
+};
+
+const findOption = (options, value) => options.find((option) => option.value === value) ?? null;
+
+function AdminPage() {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [scope, setScope] = useState(GLOBAL_SCOPE);
+  const [fields, setFields] = useState([]);
+  const [statuses, setStatuses] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [groupNames, setGroupNames] = useState([]);
+  const [roleNames, setRoleNames] = useState([]);
+  const [config, setConfig] = useState(null);
+  const [draft, setDraft] = useState({});
+  const [groupsText, setGroupsText] = useState('');
+  const [cardsText, setCardsText] = useState('');
+  const [appearanceRows, setAppearanceRows] = useState([]);
+  const [webhooks, setWebhooks] = useState(null);
+  const [webhookRows, setWebhookRows] = useState([]);
+  const [webhookSecret, setWebhookSecret] = useState('');
+  const [savingWebhooks, setSavingWebhooks] = useState(false);
+
+  // Live field, status and project lists for the pickers
+  useEffect(() => {
+    const loadLists = async () => {
+      try {
+        const [fieldList, statusList, projectList, groupList, roleList] = await Promise.all([
+          fetchJson('/rest/api/3/field'),
+          fetchJson('/rest/api/3/status'),
+          fetchAllProjects(),
+          fetchAllGroups(),
+          fetchJson('/rest/api/3/role'),
+        ]);
+        setFields(fieldList ?? []);
+        setStatuses(Array.from(new Set((statusList ?? []).map((status) => status.name))).sort());
+        setProjects(projectList);
+        setGroupNames(groupList.map((group) => group.name).sort());
+        setRoleNames((roleList ?? []).map((role) => role.name).sort());
+      } catch (e) {
+        setError(e.message || String(e));
+      }
+    };
+    loadLists();
+  }, []);
+
+  // Webhooks are site-wide, so they load once rather than per scope
+  useEffect(() => {
+    const loadWebhooks = async () => {
+      try {
+        const result = await invoke('getWebhookSettings');
+        setWebhooks(result);
+        setWebhookRows(result.endpoints);
+      } catch (e) {
+        setError(e.message || String(e));
+      }
+    };
+    loadWebhooks();
+  }, []);
+
+  const updateWebhookRow = (index, changes) =>
+    setWebhookRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+  const handleSaveWebhooks = async () => {
+    try {
+      setSavingWebhooks(true);
+      setError(null);
+      const result = await invoke('saveWebhookSettings', {
+        endpoints: webhookRows,
+        secret: webhookSecret,
+      });
+      setWebhooks(result);
+      setWebhookRows(result.endpoints);
+      setWebhookSecret('');
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setSavingWebhooks(false);
+    }
+  };
+
+  const loadScope = useCallback(async (nextScope) => {
+    setLoading(true);
+    setError(null);
+    setSaved(false);
+    try {
+      const result = await invoke('getApprovalSettings', { scope: nextScope });
+      setConfig(result);
+      setDraft(result.stored);
+      setGroupsText(groupsToText(result.stored?.policy?.groups));
+      setCardsText((result.stored?.pokerCustomDeck ?? []).join(', '));
+      setAppearanceRows(appearancesToRows(result.stored?.statusAppearances));
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadScope(scope);
+  }, [scope, loadScope]);
+
+  const isGlobal = scope === GLOBAL_SCOPE;
+  const inheritLabel = isGlobal ? 'Built-in default' : 'Inherit site default';
+
+  const scopeOptions = useMemo(
+    () => [
+      { label: 'Site default (all projects)', value: GLOBAL_SCOPE },
+      ...projects.map((project) => ({
+        label: `${project.name} (${project.key})`,
+        value: project.key,
+      })),
+    ],
+    [projects]
+  );
+
+  const fieldOptions = useMemo(
+    () => [
+      { label: inheritLabel, value: '' },
+      ...fields
+        .filter((field) => field.custom)
+        .map((field) => ({ label: `${field.name} (${field.id})`, value: field.id })),
+    ],
+    [fields, inheritLabel]
+  );
+
+  // Any field (system or custom) can be approval-sensitive
+  const sensitiveFieldOptions = useMemo(
+    () => fields.map((field) => ({ label: `${field.name} (${field.id})`, value: field.id })),
+    [fields]
+  );
+
+  const groupOptions = useMemo(() => toNameOptions(groupNames), [groupNames]);
+  const roleOptions = useMemo(() => toNameOptions(roleNames), [roleNames]);
+  const statusNameOptions = useMemo(() => toNameOptions(statuses), [statuses]);
+
+  // Multi-select bound to an array of names
+  const renderNamePicker = (id, options, values, onChange) => (
+    <Select
+      inputId={id}
+      isMulti
+      options={options}
+      value={options.filter((option) => (values ?? []).includes(option.value))}
+      onChange={(selected) => onChange((selected ?? []).map((option) => option.value))}
+    />
+  );
+
+  const visibilityOptions = useMemo(
+    () => [{ label: inheritLabel, value: '' }, ...VISIBILITY_OPTIONS],
+    [inheritLabel]
+  );
+
+  const visibilityType = draft.commentVisibility?.type ?? '';
+
+  const invalidationOptions = useMemo(
+    () => [{ label: inheritLabel, value: '' }, ...INVALIDATION_OPTIONS],
+    [inheritLabel]
+  );
+
+  const statusOptions = useMemo(
+    () => [
+      { label: inheritLabel, value: '' },
+      ...statuses.map((name) => ({ label: name, value: name })),
+    ],
+    [statuses, inheritLabel]
+  );
+
+  // Story points and similar are number fields; the original estimate is a time-tracking value
+  const estimateFieldOptions = useMemo(
+    () => [
+      { label: inheritLabel, value: '' },
+      { label: 'Original estimate (timeoriginalestimate)', value: 'timeoriginalestimate' },
+      ...fields
+        .filter((field) => field.custom && field.schema?.type === 'number')
+        .map((field) => ({ label: `${field.name} (${field.id})`, value: field.id })),
+    ],
+    [fields, inheritLabel]
+  );
+
+  const deckOptions = useMemo(
+    () => [{ label: inheritLabel, value: '' }, ...DECK_OPTIONS],
+    [inheritLabel]
+  );
+
+  const policyOptions = useMemo(
+    () => [{ label: inheritLabel, value: '' }, ...POLICY_OPTIONS],
+    [inheritLabel]
+  );
+
+  const setDraftValue = (key, value) =>
+    setDraft((prev) => ({ ...prev, [key]: value }));
+
+  const policyType = draft.policy?.type ?? '';
+
+  const setPolicyType = (type) =>
+    setDraft((prev) => ({ ...prev, policy: type ? { ...prev.policy, type } : undefined }));
+
+  const setPolicyValue = (key, value) =>
+    setDraft((prev) => ({ ...prev, policy: { ...prev.policy, [key]: value } }));
+
+  const stages = draft.stages ?? [];
+
+  const updateStage = (index, changes) =>
+    setDraft((prev) => ({
+      ...prev,
+      stages: (prev.stages ?? []).map((stage, i) => (i === index ? { ...stage, ...changes } : stage)),
+    }));
+
+  const addStage = () =>
+    setDraft((prev) => ({
+      ...prev,
+      stages: [
+        ...(prev.stages ?? []),
+        { name: '', approverField: '', approverGroups: [], approverRoles: [], policy: { type: 'all' } },
+      ],
+    }));
+
+  const removeStage = (index) =>
+    setDraft((prev) => ({
+      ...prev,
+      stages: (prev.stages ?? []).filter((_, i) => i !== index),
+    }));
+
+  const updateAppearanceRow = (index, changes) =>
+    setAppearanceRows((prev) => prev.map((row, i) => (i === index ? { ...row, ...changes } : row)));
+
+  const handleSave = useCallback(async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSaved(false);
+      const settings = {
+        ...draft,
+        policy:
+          draft.policy?.type === 'groups'
+            ? { type: 'groups', groups: textToGroups(groupsText) }
+            : draft.policy,
+        statusAppearances: rowsToAppearances(appearanceRows),
+        pokerCustomDeck: textToCards(cardsText),
+      };
+      const result = await invoke('saveApprovalSettings', { scope, settings });
+      setConfig(result);
+      setDraft(result.stored);
+      setGroupsText(groupsToText(result.stored?.policy?.groups));
+      setCardsText((result.stored?.pokerCustomDeck ?? []).join(', '));
+      setAppearanceRows(appearancesToRows(result.stored?.statusAppearances));
+      setSaved(true);
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setSaving(false);
+    }
+  }, [draft, groupsText, cardsText, appearanceRows, scope]);
+
+  const effectiveHint = (key) =>
+    config?.effective?.[key] ? `Currently: ${config.effective[key]}` : 'Currently: not set';
+
+  return (
+    <Stack space="medium">
+      <Heading as="h2">Approval settings</Heading>
+      <SectionMessage appearance="information" title="How settings apply">
+        <Text>
+          Site defaults apply to every project. A project override only replaces the values it
+          sets; anything left on “Inherit site default” keeps the site value.
+        </Text>
+      </SectionMessage>
+
+      {error ? (
+        <SectionMessage title="Something went wrong" appearance="error">
+          <Text>{error}</Text>
+        </SectionMessage>
+      ) : null}
+
+      {saved ? (
+        <SectionMessage title="Saved" appearance="success">
+          <Text>Approval settings were saved.</Text>
+        </SectionMessage>
+      ) : null}
+
+      <Label labelFor="approval-scope">Settings for</Label>
+      <Select
+        inputId="approval-scope"
+        options={scopeOptions}
+        value={findOption(scopeOptions, scope)}
+        onChange={(option) => setScope(option?.value ?? GLOBAL_SCOPE)}
+      />
+
+      {loading || !config ? (
+        <Spinner />
+      ) : (
+        <Form onSubmit={handleSave}>
+          <Heading as="h3">Fields</Heading>
+          {FIELD_KEYS.map(({ key, label }) => (
+            <Stack key={key} space="small">
+              <Label labelFor={`approval-${key}`}>{label}</Label>
+              <Select
+                inputId={`approval-${key}`}
+                options={fieldOptions}
+                value={findOption(fieldOptions, draft[key] ?? '')}
+                onChange={(option) => setDraftValue(key, option?.value ?? '')}
+              />
+              <Text>{effectiveHint(key)}</Text>
+            </Stack>
+          ))}
+
+          <Label labelFor="approval-approverGroups">Approver groups (members may approve)</Label>
+          {renderNamePicker('approval-approverGroups', groupOptions, draft.approverGroups, (names) =>
+            setDraftValue('approverGroups', names)
+          )}
+          <Label labelFor="approval-approverRoles">Approver project roles</Label>
+          {renderNamePicker('approval-approverRoles', roleOptions, draft.approverRoles, (names) =>
+            setDraftValue('approverRoles', names)
+          )}
+          <Text>
+            People reached through the field, several groups or roles are counted once. With the
+            “At least one from each group” policy and no groups listed, each group or role above
+            counts as one group. Without any groups that policy can never be met, and a group with no
+            listed approver blocks approval until one is added.
+          </Text>
+
+          <Heading as="h3">Statuses</Heading>
+          {STATUS_KEYS.map(({ key, label }) => (
+            <Stack key={key} space="small">
+              <Label labelFor={`approval-${key}`}>{label}</Label>
+              <Select
+                inputId={`approval-${key}`}
+                options={statusOptions}
+                value={findOption(statusOptions, draft[key] ?? '')}
+                onChange={(option) => setDraftValue(key, option?.value ?? '')}
+              />
+              <Text>{effectiveHint(key)}</Text>
+            </Stack>
+          ))}
+
+          <Label labelFor="approval-guardedStatuses">
+            Statuses guarded by the workflow validator (leave empty to inherit)
+          </Label>
+          {renderNamePicker(
+            'approval-guardedStatuses',
+            statusNameOptions,
+            draft.guardedStatuses,
+            (names) => setDraftValue('guardedStatuses', names)
+          )}
+          <Text>
+            {`Currently: ${
+              config.effective.guardedStatuses.length > 0
+                ? config.effective.guardedStatuses.join(', ')
+                : `${config.effective.targetStatus} (target status)`
+            }`}
+          </Text>
+
+          <Heading as="h3">Status colours</Heading>
+          <Text>
+            Status lozenges follow the Jira status category (To Do grey, In Progress blue, Done green).
+            Override single statuses here; overrides replace the inherited list as a whole.
+          </Text>
+          {appearanceRows.map((row, index) => (
+            <Stack key={index} direction="horizontal" align="center" space="small">
+              <Select
+                inputId={`approval-appearance-status-${index}`}
+                options={statusNameOptions}
+                value={findOption(statusNameOptions, row.status)}
+                onChange={(option) => updateAppearanceRow(index, { status: option?.value ?? '' })}
+              />
+              <Select
+                inputId={`approval-appearance-${index}`}
+                options={APPEARANCE_OPTIONS}
+                value={findOption(APPEARANCE_OPTIONS, row.appearance)}
+                onChange={(option) => updateAppearanceRow(index, { appearance: option?.value ?? '' })}
+              />
+              <Button
+                type="button"
+                appearance="subtle"
+                onClick={() => setAppearanceRows((prev) => prev.filter((_, i) => i !== index))}
+              >
+                Remove
+              </Button>
+            </Stack>
+          ))}
+          <Button
+            type="button"
+            onClick={() =>
+              setAppearanceRows((prev) => [...prev, { status: '', appearance: 'default' }])
+            }
+          >
+            Add status colour
+          </Button>
+          {appearanceRows.length === 0 &&
+          Object.keys(config.effective.statusAppearances).length > 0 ? (
+            <Text>
+              {`Currently: ${Object.entries(config.effective.statusAppearances)
+                .map(([status, appearance]) => `${status} → ${appearance}`)
+                .join(', ')}`}
+            </Text>
+          ) : null}
+
+          <Heading as="h3">Approval policy</Heading>
+          <Label labelFor="approval-policy">Policy</Label>
+          <Select
+            inputId="approval-policy"
+            options={policyOptions}
+            value={findOption(policyOptions, policyType)}
+            onChange={(option) => setPolicyType(option?.value ?? '')}
+          />
+          {policyType === 'count' ? (
+            <>
+              <Label labelFor="approval-policy-required">Approvals required</Label>
+              <Textfield
+                id="approval-policy-required"
+                type="number"
+                value={String(draft.policy?.required ?? '')}
+                onChange={(e) => setPolicyValue('required', e.target.value)}
+              />
+            </>
+          ) : null}
+          {policyType === 'percentage' ? (
+            <>
+              <Label labelFor="approval-policy-percent">Percentage of approvers</Label>
+              <Textfield
+                id="approval-policy-percent"
+                type="number"
+                value={String(draft.policy?.percent ?? '')}
+                onChange={(e) => setPolicyValue('percent', e.target.value)}
+              />
+            </>
+          ) : null}
+          {policyType === 'groups' ? (
+            <>
+              <Label labelFor="approval-policy-groups">
+                Groups — one per line as “name: accountId, accountId”
+              </Label>
+              <TextArea
+                id="approval-policy-groups"
+                value={groupsText}
+                onChange={(e) => setGroupsText(e.target.value)}
+              />
+            </>
+          ) : null}
+          <Text>{`Currently: ${config.effective.policy.type}`}</Text>
+
+          <Heading as="h3">Approval stages</Heading>
+          <Text>
+            Stages are approved in order; each has its own approvers (field, groups, roles) and
+            policy. With no stages, the approver settings and policy above form a single stage.
+          </Text>
+          {stages.map((stage, index) => (
+            <Stack key={index} space="small">
+              <Label labelFor={`approval-stage-${index}-name`}>{`Stage ${index + 1} name`}</Label>
+              <Textfield
+                id={`approval-stage-${index}-name`}
+                value={stage.name ?? ''}
+                onChange={(e) => updateStage(index, { name: e.target.value })}
+              />
+              <Label labelFor={`approval-stage-${index}-field`}>Approvers field</Label>
+              <Select
+                inputId={`approval-stage-${index}-field`}
+                options={fieldOptions.filter((option) => option.value)}
+                value={findOption(fieldOptions, stage.approverField ?? '')}
+                onChange={(option) => updateStage(index, { approverField: option?.value ?? '' })}
+              />
+              <Label labelFor={`approval-stage-${index}-groups`}>Approver groups</Label>
+              {renderNamePicker(
+                `approval-stage-${index}-groups`,
+                groupOptions,
+                stage.approverGroups,
+                (names) => updateStage(index, { approverGroups: names })
+              )}
+              <Label labelFor={`approval-stage-${index}-roles`}>Approver project roles</Label>
+              {renderNamePicker(
+                `approval-stage-${index}-roles`,
+                roleOptions,
+                stage.approverRoles,
+                (names) => updateStage(index, { approverRoles: names })
+              )}
+              <Label labelFor={`approval-stage-${index}-policy`}>Policy</Label>
+              <Select
+                inputId={`approval-stage-${index}-policy`}
+                options={POLICY_OPTIONS}
+                value={findOption(POLICY_OPTIONS, stage.policy?.type ?? 'all')}
+                onChange={(option) =>
+                  updateStage(index, { policy: { ...stage.policy, type: option?.value ?? 'all' } })
+                }
+              />
+              {stage.policy?.type === 'count' || stage.policy?.type === 'percentage' ? (
+                <Textfield
+                  id={`approval-stage-${index}-value`}
+                  type="number"
+                  placeholder={stage.policy.type === 'count' ? 'Approvals required' : 'Percent'}
+                  value={String(
+                    (stage.policy.type === 'count' ? stage.policy.required : stage.policy.percent) ?? ''
+                  )}
+                  onChange={(e) =>
+                    updateStage(index, {
+                      policy: {
+                        ...stage.policy,
+                        [stage.policy.type === 'count' ? 'required' : 'percent']: e.target.value,
+                      },
+                    })
+                  }
+                />
+              ) : null}
+              <Button appearance="subtle" type="button" onClick={() => removeStage(index)}>
+                Remove stage
+              </Button>
+            </Stack>
+          ))}
+          <Button type="button" onClick={addStage}>
+            Add stage
+          </Button>
+          {stages.length === 0 && config.effective.stages.length > 0 ? (
+            <Text>{`Currently: ${config.effective.stages.map((stage) => stage.name).join(' → ')}`}</Text>
+          ) : null}
+
+          <Heading as="h3">Approval comments</Heading>
+          <Label labelFor="approval-commentVisibility">Who can see the “Approved by” comment</Label>
+          <Select
+            inputId="approval-commentVisibility"
+            options={visibilityOptions}
+            value={findOption(visibilityOptions, visibilityType)}
+            onChange={(option) =>
+              setDraftValue(
+                'commentVisibility',
+                option?.value ? { type: option.value, value: '' } : undefined
+              )
+            }
+          />
+          {visibilityType === 'role' || visibilityType === 'group' ? (
+            <Select
+              inputId="approval-commentVisibility-value"
+              options={visibilityType === 'role' ? roleOptions : groupOptions}
+              value={findOption(
+                visibilityType === 'role' ? roleOptions : groupOptions,
+                draft.commentVisibility?.value ?? ''
+              )}
+              onChange={(option) =>
+                setDraftValue('commentVisibility', {
+                  type: visibilityType,
+                  value: option?.value ?? '',
+                })
+              }
+            />
+          ) : null}
+          <Text>
+            {`Currently: ${
+              config.effective.commentVisibility.type === 'all'
+                ? 'all users'
+                : `${config.effective.commentVisibility.type} ${config.effective.commentVisibility.value}`
+            }`}
+          </Text>
+
+          <Heading as="h3">Changes after approval</Heading>
+          <Label labelFor="approval-sensitiveFields">
+            Approval-sensitive fields (leave empty to inherit)
+          </Label>
+          <Select
+            inputId="approval-sensitiveFields"
+            isMulti
+            options={sensitiveFieldOptions}
+            value={sensitiveFieldOptions.filter((option) =>
+              (draft.sensitiveFields ?? []).includes(option.value)
+            )}
+            onChange={(options) =>
+              setDraftValue('sensitiveFields', (options ?? []).map((option) => option.value))
+            }
+          />
+          <Text>{`Currently: ${config.effective.sensitiveFields.join(', ')}`}</Text>
+          <Label labelFor="approval-invalidationMode">When a sensitive field changes</Label>
+          <Select
+            inputId="approval-invalidationMode"
+            options={invalidationOptions}
+            value={findOption(invalidationOptions, draft.invalidationMode ?? '')}
+            onChange={(option) => setDraftValue('invalidationMode', option?.value ?? '')}
+          />
+          <Text>{effectiveHint('invalidationMode')}</Text>
+
+          <Heading as="h3">Reminders and escalation</Heading>
+          <Text>
+            Hours an issue may wait in the review status. Leave blank to inherit; 0 turns the step off.
+          </Text>
+          {SLA_KEYS.map(({ key, label }) => (
+            <Stack key={key} space="small">
+              <Label labelFor={`approval-${key}`}>{label}</Label>
+              <Textfield
+                id={`approval-${key}`}
+                type="number"
+                value={String(draft[key] ?? '')}
+                onChange={(e) => setDraftValue(key, e.target.value)}
+              />
+              <Text>{`Currently: ${config.effective[key] || 'off'}`}</Text>
+            </Stack>
+          ))}
+          <UserPicker
+            key={`escalation-user-${scope}`}
+            name="escalationUser"
+            label="Escalate to user"
+            placeholder="Inherit site default"
+            defaultValue={draft.escalationUser || undefined}
+            onChange={(user) => setDraftValue('escalationUser', user?.id ?? '')}
+          />
+          <Label labelFor="approval-escalationGroup">Escalate to group</Label>
+          <Select
+            inputId="approval-escalationGroup"
+            isClearable
+            options={groupOptions}
+            value={findOption(groupOptions, draft.escalationGroup ?? '')}
+            onChange={(option) => setDraftValue('escalationGroup', option?.value ?? '')}
+          />
+          <Text>{effectiveHint('escalationGroup')}</Text>
+
+          <Heading as="h3">Planning poker</Heading>
+          <Label labelFor="approval-pokerDeck">Estimation deck</Label>
+          <Select
+            inputId="approval-pokerDeck"
+            options={deckOptions}
+            value={findOption(deckOptions, draft.pokerDeck ?? '')}
+            onChange={(option) => setDraftValue('pokerDeck', option?.value ?? '')}
+          />
+          <Text>{effectiveHint('pokerDeck')}</Text>
+          {draft.pokerDeck === 'custom' ? (
+            <>
+              <Label labelFor="approval-pokerCustomDeck">
+                Custom cards, comma-separated (up to 30, 10 characters each)
+              </Label>
+              <Textfield
+                id="approval-pokerCustomDeck"
+                placeholder="1, 2, 3, 5, 8, ?, ☕"
+                value={cardsText}
+                onChange={(e) => setCardsText(e.target.value)}
+              />
+            </>
+          ) : null}
+          <Label labelFor="approval-pokerEstimateField">Field the final estimate is written to</Label>
+          <Select
+            inputId="approval-pokerEstimateField"
+            options={estimateFieldOptions}
+            value={findOption(estimateFieldOptions, draft.pokerEstimateField ?? '')}
+            onChange={(option) => setDraftValue('pokerEstimateField', option?.value ?? '')}
+          />
+          <Text>{effectiveHint('pokerEstimateField')}</Text>
+          <Label labelFor="approval-pokerFacilitatorRole">Facilitator project role</Label>
+          <Select
+            inputId="approval-pokerFacilitatorRole"
+            isClearable
+            options={roleOptions}
+            value={findOption(roleOptions, draft.pokerFacilitatorRole ?? '')}
+            onChange={(option) => setDraftValue('pokerFacilitatorRole', option?.value ?? '')}
+          />
+          <Text>
+            Only the facilitator can reveal, clear, start a new round, finalize or change participants.
+            The person who starts a session facilitates it; members of this role can as well.
+          </Text>
+          <Text>{effectiveHint('pokerFacilitatorRole')}</Text>
+
+          <FormFooter>
+            <Button appearance="primary" type="submit" isDisabled={saving}>
+              {saving ? 'Saving…' : 'Save settings'}
+            </Button>
+          </FormFooter>
+        </Form>
+      )}
+
+      {isGlobal && webhooks ? (
+        <Stack space="medium">
+          <Heading as="h3">Webhooks</Heading>
+          <Text>
+            Approve, reject and withdraw send a JSON event (issue, decision, actor, quorum state) to
+            these HTTPS endpoints. Requests carry X-Approval-Timestamp and X-Approval-Signature
+            (sha256 HMAC of “timestamp.body” with the secret), so a secret is required before any
+            endpoint can be saved. Failed deliveries are retried.
+          </Text>
+          {webhookRows.map((row, index) => (
+            <Stack key={row.id ?? index} space="small">
+              <Label labelFor={`approval-webhook-url-${index}`}>Endpoint URL</Label>
+              <Textfield
+                id={`approval-webhook-url-${index}`}
+                placeholder="https://ci.example.com/hooks/jira-approval"
+                value={row.url}
+                onChange={(e) => updateWebhookRow(index, { url: e.target.value })}
+              />
+              <Select
+                inputId={`approval-webhook-events-${index}`}
+                isMulti
+                options={WEBHOOK_EVENT_OPTIONS}
+                value={WEBHOOK_EVENT_OPTIONS.filter((option) =>
+                  (row.events ?? []).includes(option.value)
+                )}
+                onChange={(options) =>
+                  updateWebhookRow(index, { events: (options ?? []).map((option) => option.value) })
+                }
+              />
+              <Button
+                appearance="subtle"
+                onClick={() => setWebhookRows((prev) => prev.filter((_, i) => i !== index))}
+              >
+                Remove endpoint
+              </Button>
+            </Stack>
+          ))}
+          <Button
+            onClick={() =>
+              setWebhookRows((prev) => [...prev, { url: '', events: webhooks.events }])
+            }
+          >
+            Add endpoint
+          </Button>
+          <Label labelFor="approval-webhook-secret">Signing secret</Label>
+          <Textfield
+            id="approval-webhook-secret"
+            type="password"
+            placeholder={webhooks.hasSecret ? 'Set — enter a new value to replace it' : 'Not set'}
+            value={webhookSecret}
+            onChange={(e) => setWebhookSecret(e.target.value)}
+          />
+          <Button appearance="primary" isDisabled={savingWebhooks} onClick={handleSaveWebhooks}>
+            {savingWebhooks ? 'Saving…' : 'Save webhooks'}
+          </Button>
+        </Stack>
+      ) : null}
+    </Stack>
+  );
+}
+
+ForgeReconciler.render(
+  <React.StrictMode>
+    <AdminPage />
+  </React.StrictMode>
+);
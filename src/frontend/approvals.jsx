@@ -0,0 +1,649 @@
+import React, { useEffect, useRef, useState } from 'react';
+import ForgeReconciler, {
+  useProductContext,
+  Stack,
+  Text,
+  Button,
+  DatePicker,
+  Lozenge,
+  ProgressTracker,
+  SectionMessage,
+  Select,
+  TextArea,
+  Textfield,
+  Tooltip,
+  UserPicker,
+} from '@forge/react';
+import { invoke, view } from '@forge/bridge';
+
+const DECISION_LABELS = {
+  approved: 'approved',
+  rejected: 'requested changes',
+  withdrawn: 'withdrew their approval',
+  invalidated: 'changed the issue after approval',
+  reverted: 'approval was rolled back',
+};
+
+// "2026-01-31 14:05 · Jane Doe approved (in Ready for Review) — looks good"
+const formatHistoryEntry = (entry) => {
+  const when = entry.at ? entry.at.slice(0, 16).replace('T', ' ') : 'Before history was kept';
+  const approver = entry.displayName || entry.accountId;
+  const who = entry.delegate
+    ? `${entry.delegate.displayName || entry.delegate.accountId} (on behalf of ${approver})`
+    : approver;
+  const what = DECISION_LABELS[entry.decision] || entry.decision;
+  const where = entry.status ? ` (in ${entry.status})` : '';
+  const note = entry.comment ? ` — ${entry.comment}` : '';
+  return `${when} · ${who} ${what}${where}${note}`;
+};
+
+// One per click — the backend uses it to make a retried approval a no-op
+const newRequestId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+// Jira status category → lozenge (To Do grey, In Progress blue, Done green); admins can override per status
+const CATEGORY_APPEARANCE = { new: 'default', indeterminate: 'inprogress', done: 'success' };
+
+const statusAppearance = (gate) =>
+  gate.statusAppearances?.[gate.statusName] ||
+  CATEGORY_APPEARANCE[gate.statusCategory?.key] ||
+  'default';
+
+const formatTime = (iso) => (iso ? iso.slice(0, 16).replace('T', ' ') : '');
+
+// Per-approver vote state → lozenge appearance and tooltip
+const VOTE_APPEARANCE = { approved: 'success', rejected: 'removed', stale: 'moved', pending: 'default' };
+
+const voteTooltip = (approver) => {
+  const via = approver.delegate ? ` by ${approver.delegate.displayName} on their behalf` : '';
+  switch (approver.state) {
+    case 'approved':
+      return `Approved ${formatTime(approver.at)}${via}`;
+    case 'stale':
+      return `Approved ${formatTime(approver.at)}${via}, but the issue changed since — needs to approve again`;
+    case 'rejected':
+      return `Requested changes ${formatTime(approver.at)}${via}`;
+    default:
+      return 'Not voted yet';
+  }
+};
+
+// Own lozenge is bold and marked "(you)"
+const renderApprover = (approver, currentAccountId, isWaiting) => {
+  const isMe = approver.accountId === currentAccountId;
+  return (
+    <Tooltip key={approver.accountId} content={voteTooltip(approver)}>
+      <Lozenge
+        appearance={isWaiting ? 'default' : VOTE_APPEARANCE[approver.state] || 'default'}
+        isBold={isMe}
+      >
+        {isMe ? `${approver.displayName} (you)` : approver.displayName}
+      </Lozenge>
+    </Tooltip>
+  );
+};
+
+// Approvals whose signed snapshot no longer matches the issue, once per approver
+const changedSinceApproval = (stages) => {
+  const seen = new Set();
+  return (stages || [])
+    .flatMap((stage) => stage.approvers)
+    .filter((u) => u.changes?.length > 0 && !seen.has(u.accountId) && seen.add(u.accountId));
+};
+
+// 'Summary: "Old title" → "New title"'
+const formatChange = (change) => {
+  const show = (value) => (value ? `“${value}”` : '(empty)');
+  return `${change.name}: ${show(change.before)} → ${show(change.after)}`;
+};
+
+const STAGE_TRACKER_STATUS = { done: 'visited', active: 'current', waiting: 'unvisited' };
+
+// Stepper items for ProgressTracker (one per approval stage)
+const toTrackerItems = (stages) =>
+  stages.map((stage) => ({
+    id: stage.id,
+    label: `${stage.name} (${stage.approvedCount}/${stage.requiredApprovals})`,
+    status: STAGE_TRACKER_STATUS[stage.state] || 'unvisited',
+    percentageComplete: stage.state === 'done' ? 100 : 0,
+  }));
+
+// One input per required transition-screen field; values are sent to approveIssue by field ID
+const renderTransitionField = (field, value, onChange, isDisabled) => {
+  if (field.allowedValues.length > 0) {
+    const options = field.allowedValues.map((v) => ({ label: v.label, value: v.id }));
+    const isMulti = field.type === 'array';
+    return (
+      <Select
+        inputId={`transition-${field.fieldId}`}
+        isMulti={isMulti}
+        options={options}
+        value={
+          isMulti
+            ? options.filter((o) => (value || []).includes(o.value))
+            : options.find((o) => o.value === value) || null
+        }
+        onChange={(selected) =>
+          onChange(isMulti ? (selected || []).map((o) => o.value) : selected?.value ?? '')
+        }
+        isDisabled={isDisabled}
+      />
+    );
+  }
+  if (field.type === 'date') {
+    return <DatePicker value={value || ''} onChange={(v) => onChange(v || '')} isDisabled={isDisabled} />;
+  }
+  if (field.type === 'user') {
+    return (
+      <UserPicker
+        name={`transition-${field.fieldId}`}
+        label={field.name}
+        onChange={(user) => onChange(user?.id ?? '')}
+      />
+    );
+  }
+  if (field.fieldId === 'comment' || field.fieldId === 'description') {
+    return (
+      <TextArea value={value || ''} onChange={(e) => onChange(e.target.value)} isDisabled={isDisabled} />
+    );
+  }
+  return (
+    <Textfield
+      id={`transition-${field.fieldId}`}
+      type={field.type === 'number' ? 'number' : 'text'}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      isDisabled={isDisabled}
+    />
+  );
+};
+
+function App() {
+  const productCtx = useProductContext();
+
+  // Issue identity from your context shape
+  const issueKey = productCtx?.extension?.issue?.key || null;
+  const issueId  = productCtx?.extension?.issue?.id  || null;
+
+  const [loading, setLoading] = useState(true);
+  const [gate, setGate]       = useState(null);
+  const [history, setHistory] = useState([]);
+  const [error, setError]     = useState(null);
+  const [approving, setApproving] = useState(false);
+  const [rejectOpen, setRejectOpen] = useState(false);
+  const [rejectReason, setRejectReason] = useState('');
+  const [rejecting, setRejecting] = useState(false);
+  const [withdrawing, setWithdrawing] = useState(false);
+  const [transitionValues, setTransitionValues] = useState({});
+  const [approvalNote, setApprovalNote] = useState('');
+  const [delegations, setDelegations] = useState([]);
+  const [awayOpen, setAwayOpen] = useState(false);
+  const [substitute, setSubstitute] = useState(null);
+  const [awayFrom, setAwayFrom] = useState('');
+  const [awayTo, setAwayTo] = useState('');
+  const [savingAway, setSavingAway] = useState(false);
+
+  // --- Debounce helper for auto-refresh ---
+  const debounceTimer = useRef(null);
+  const debounce = (fn, ms = 250) => {
+    if (debounceTimer.current) clearTimeout(debounceTimer.current);
+    debounceTimer.current = setTimeout(fn, ms);
+  };
+
+  // Fetch the latest “gate” model from the backend (status, approvers, votes)
+  const fetchGate = async () => {
+    if (!issueKey && !issueId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      const [data, audit, away] = await Promise.all([
+        invoke('getIssueData', { issueKey, issueId }),
+        invoke('getApprovalHistory', { issueKey, issueId }),
+        invoke('getMyDelegations'),
+      ]);
+      setGate(data);
+      setHistory(audit?.history || []);
+      setDelegations(away?.delegations || []);
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Initial load + whenever identity changes
+  useEffect(() => {
+    fetchGate();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [issueKey, issueId]);
+
+  // 🔄 Auto-refresh: re-fetch whenever the issue changes in Jira
+  useEffect(() => {
+    if (!issueKey && !issueId) return;
+
+    // Handler that re-runs our data fetch (debounced)
+    const onIssueChanged = () => debounce(fetchGate, 300);
+
+    // Subscribe when this view is mounted
+    view.on('JIRA_ISSUE_CHANGED', onIssueChanged);
+
+    // Clean up on unmount or when issue identity changes
+    return () => {
+      view.off?.('JIRA_ISSUE_CHANGED', onIssueChanged);
+      if (debounceTimer.current) clearTimeout(debounceTimer.current);
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [issueKey, issueId]);
+
+  // Approve click → backend transition + fields + vote, then refresh
+  // `onBehalfOf` is set when a substitute approves for someone who is away
+  const onApprove = async (onBehalfOf) => {
+    setApproving(true);
+    try {
+      const resp = await invoke('approveIssue', {
+        issueKey,
+        issueId,
+        onBehalfOf,
+        requestId: newRequestId(),
+        comment: approvalNote.trim() || undefined,
+        transitionFields: transitionValues,
+      });
+      setTransitionValues({});
+      setApprovalNote('');
+      await fetchGate();            // immediate refresh
+      // Keep the backend message (e.g. "Approval recorded 1/2") visible after the refresh
+      setGate((prev) => (prev ? { ...prev, message: resp?.message } : prev));
+      // Any subsequent edits by workflow/automation will also be caught by JIRA_ISSUE_CHANGED
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  // Reject click → backend comment + transition back, then refresh
+  const onReject = async () => {
+    if (!rejectReason.trim()) {
+      setError('Please give a reason for rejecting.');
+      return;
+    }
+    setRejecting(true);
+    try {
+      await invoke('rejectIssue', { issueKey, issueId, reason: rejectReason });
+      setRejectOpen(false);
+      setRejectReason('');
+      await fetchGate();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setRejecting(false);
+    }
+  };
+
+  // Withdraw click → backend removes the vote (and rolls back "Approved" if quorum is lost)
+  const onWithdraw = async () => {
+    setWithdrawing(true);
+    try {
+      const resp = await invoke('withdrawApproval', { issueKey, issueId });
+      await fetchGate();
+      setGate((prev) => (prev ? { ...prev, message: resp?.message } : prev));
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setWithdrawing(false);
+    }
+  };
+
+  // Out-of-office: name a substitute for a date range
+  const onAddDelegation = async () => {
+    setSavingAway(true);
+    try {
+      const resp = await invoke('addDelegation', {
+        delegate: substitute,
+        from: awayFrom,
+        to: awayTo,
+      });
+      setDelegations(resp?.delegations || []);
+      setAwayOpen(false);
+      setSubstitute(null);
+      setAwayFrom('');
+      setAwayTo('');
+      await fetchGate();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setSavingAway(false);
+    }
+  };
+
+  const onRemoveDelegation = async (index) => {
+    setSavingAway(true);
+    try {
+      const resp = await invoke('removeDelegation', { index });
+      setDelegations(resp?.delegations || []);
+      await fetchGate();
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setSavingAway(false);
+    }
+  };
+
+  if (loading || !gate) return <Text>Loading…</Text>;
+
+  const approvedNames = Array.from(
+    new Set(
+      (gate.stages || []).flatMap((stage) =>
+        stage.approvers.filter((u) => u.state === 'approved').map((u) => u.displayName)
+      )
+    )
+  );
+
+  const screenIncomplete = (gate.transitionFields || []).some((field) => {
+    const value = transitionValues[field.fieldId];
+    return value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  });
+
+  return (
+    <Stack space="medium">
+      {error && (
+        <SectionMessage appearance="error" title="Error">
+          <Text>{error}</Text>
+        </SectionMessage>
+      )}
+
+      {/* Status row */}
+      <Stack direction="horizontal" align="center" space="small">
+        <Text>Status:</Text>
+        <Lozenge appearance={statusAppearance(gate)}>
+          {gate.statusName}
+        </Lozenge>
+      </Stack>
+
+      {/* Approvers row — one per stage when approval is sequential */}
+      {gate.stages?.length > 1 ? (
+        <>
+          <ProgressTracker items={toTrackerItems(gate.stages)} />
+          {gate.stages.map((stage) => (
+            <Stack key={stage.id} direction="horizontal" align="center" space="small">
+              <Text>{`${stage.name}:`}</Text>
+              {stage.approvers.length > 0 ? (
+                stage.approvers.map((u) =>
+                  renderApprover(u, gate.currentAccountId, stage.state === 'waiting')
+                )
+              ) : (
+                <Lozenge appearance="removed">None</Lozenge>
+              )}
+            </Stack>
+          ))}
+        </>
+      ) : (
+        <Stack direction="horizontal" align="center" space="small">
+          <Text>Approvers:</Text>
+          {gate.stages?.[0]?.approvers.length > 0 ? (
+            gate.stages[0].approvers.map((u) => renderApprover(u, gate.currentAccountId, false))
+          ) : (
+            <Lozenge appearance="removed">None</Lozenge>
+          )}
+        </Stack>
+      )}
+
+      {/* Quorum progress (only while still under review) */}
+      {gate.statusName !== gate.targetStatus && gate.totalApprovers > 0 && (
+        <Stack direction="horizontal" align="center" space="small">
+          <Text>
+            {(gate.stages?.length > 1 && gate.activeStageId
+              ? `${gate.stages.find((stage) => stage.id === gate.activeStageId)?.name} — `
+              : '') +
+              (gate.policyType === 'groups'
+                ? `Groups signed off: ${gate.requiredApprovals - gate.missingGroups.length}/${gate.requiredApprovals}`
+                : `Approvals: ${gate.approvedCount}/${gate.requiredApprovals} required`)}
+          </Text>
+          {gate.remainingApprovers?.map((u, i) => (
+            <Lozenge key={i} appearance="moved">
+              {u.displayName}
+            </Lozenge>
+          ))}
+        </Stack>
+      )}
+      {gate.statusName !== gate.targetStatus && gate.missingGroups?.length > 0 && (
+        <Text>{`Still needs a vote from: ${gate.missingGroups.join(', ')}`}</Text>
+      )}
+      {gate.statusName !== gate.targetStatus &&
+        gate.policyType === 'groups' &&
+        gate.requiredApprovals === 0 && (
+          <Text>
+            The “at least one from each group” policy has no groups to check, so it cannot be met.
+            Ask a Jira administrator to add groups on the approval settings page.
+          </Text>
+        )}
+
+      {/* Votes cast by substitutes */}
+      {gate.delegatedVotes?.length > 0 && (
+        <Stack direction="horizontal" align="center" space="small">
+          <Text>Substitute approvals:</Text>
+          {gate.delegatedVotes.map((v, i) => (
+            <Lozenge key={i} appearance="success">
+              {`${v.delegate.displayName} for ${v.displayName}`}
+            </Lozenge>
+          ))}
+        </Stack>
+      )}
+
+      {/* Approvals invalidated by later edits */}
+      {gate.staleApprovers?.length > 0 && gate.statusName !== gate.targetStatus && (
+        <SectionMessage appearance="warning" title="Re-approval needed">
+          <Text>
+            {`The issue changed after ${gate.staleApprovers
+              .map((u) => u.displayName || u.accountId)
+              .join(', ')} approved. Their approval no longer counts until they approve again.`}
+          </Text>
+        </SectionMessage>
+      )}
+
+      {/* What changed since each approver signed off */}
+      {changedSinceApproval(gate.stages).map((u) => (
+        <SectionMessage
+          key={u.accountId}
+          appearance="information"
+          title={`Changed since ${u.displayName} approved (${formatTime(u.at)})`}
+        >
+          <Stack space="small">
+            {u.changes.map((change) => (
+              <Text key={change.fieldId}>{formatChange(change)}</Text>
+            ))}
+          </Stack>
+        </SectionMessage>
+      ))}
+
+      {/* Most recent rejection (kept after the issue goes back to work) */}
+      {gate.lastRejection && gate.statusName !== gate.targetStatus && (
+        <SectionMessage appearance="warning" title="Changes requested">
+          <Text>{`${gate.lastRejection.displayName}: ${gate.lastRejection.comment}`}</Text>
+        </SectionMessage>
+      )}
+
+      {/* Required fields on the approve transition's screen (only when this vote completes approval) */}
+      {gate.statusName !== gate.targetStatus && gate.transitionFields?.length > 0 && (
+        <Stack space="small">
+          <Text>
+            {gate.canComplete
+              ? `Moving the issue to “${gate.targetStatus}” needs:`
+              : `Your approval moves the issue to “${gate.targetStatus}”. Please fill in:`}
+          </Text>
+          {gate.transitionFields.map((field) => (
+            <Stack key={field.fieldId} space="small">
+              <Text>{`${field.name} *`}</Text>
+              {renderTransitionField(
+                field,
+                transitionValues[field.fieldId],
+                (value) => setTransitionValues((prev) => ({ ...prev, [field.fieldId]: value })),
+                approving
+              )}
+            </Stack>
+          ))}
+        </Stack>
+      )}
+
+      {/* Optional note, posted with the "Approved by" comment */}
+      {gate.statusName !== gate.targetStatus && (gate.canApprove || gate.delegatedFor?.length > 0) && (
+        <TextArea
+          placeholder="Add a note to your approval (optional)"
+          value={approvalNote}
+          onChange={(e) => setApprovalNote(e.target.value)}
+          isDisabled={approving}
+        />
+      )}
+
+      {/* Action / state */}
+      {gate.statusName === gate.targetStatus ? (
+        <SectionMessage appearance="success" title="Approved">
+          <Text>
+            {gate.message
+              ? gate.message
+              : `Approved by ${approvedNames.join(', ') || `${gate.approvedCount}/${gate.totalApprovers} approvers`}`}
+          </Text>
+        </SectionMessage>
+      ) : gate.canApprove ? (
+        <Button
+          appearance="primary"
+          isDisabled={approving || screenIncomplete}
+          onClick={() => onApprove()}
+        >
+          {approving ? 'Approving…' : 'Approve'}
+        </Button>
+      ) : gate.canComplete ? (
+        // Quorum is already met but the issue did not move (e.g. the approver list changed)
+        <Stack space="small">
+          <Text>{`All approvals are in, but the issue is still in “${gate.requiredStatus}”.`}</Text>
+          <Button
+            appearance="primary"
+            isDisabled={approving || screenIncomplete}
+            onClick={() => onApprove()}
+          >
+            {approving ? 'Completing…' : `Move to “${gate.targetStatus}”`}
+          </Button>
+        </Stack>
+      ) : gate.hasVoted ? (
+        <SectionMessage appearance="information" title="Your approval is recorded">
+          <Text>
+            {gate.message
+              ? gate.message
+              : `Waiting for the remaining approvers before the issue moves to “${gate.targetStatus}”.`}
+          </Text>
+        </SectionMessage>
+      ) : gate.delegatedFor?.length > 0 ? null : (
+        <SectionMessage appearance="warning" title="Approval not available">
+          <Text>
+            {`Approve shows only in “${gate.requiredStatus}” with approvers set, and when you are one of them.`}
+          </Text>
+        </SectionMessage>
+      )}
+
+      {/* Substitute for approvers who are away */}
+      {gate.statusName !== gate.targetStatus &&
+        gate.delegatedFor?.map((u) => (
+          <Button
+            key={u.accountId}
+            appearance="primary"
+            isDisabled={approving || screenIncomplete}
+            onClick={() => onApprove(u.accountId)}
+          >
+            {approving ? 'Approving…' : `Approve on behalf of ${u.displayName}`}
+          </Button>
+        ))}
+
+      {/* Take back my approval */}
+      {gate.canWithdraw && (
+        <Button appearance="subtle" isDisabled={withdrawing} onClick={onWithdraw}>
+          {withdrawing ? 'Withdrawing…' : 'Withdraw my approval'}
+        </Button>
+      )}
+
+      {/* Reject / request changes */}
+      {gate.statusName !== gate.targetStatus && gate.canReject && (
+        rejectOpen ? (
+          <Stack space="small">
+            <TextArea
+              placeholder="What needs to change? (required)"
+              value={rejectReason}
+              onChange={(e) => setRejectReason(e.target.value)}
+              isDisabled={rejecting}
+            />
+            <Stack direction="horizontal" space="small">
+              <Button
+                appearance="danger"
+                isDisabled={rejecting || !rejectReason.trim()}
+                onClick={onReject}
+              >
+                {rejecting ? 'Rejecting…' : 'Confirm reject'}
+              </Button>
+              <Button appearance="subtle" isDisabled={rejecting} onClick={() => setRejectOpen(false)}>
+                Cancel
+              </Button>
+            </Stack>
+          </Stack>
+        ) : (
+          <Button appearance="danger" onClick={() => setRejectOpen(true)}>
+            Reject
+          </Button>
+        )
+      )}
+
+      {/* Out of office */}
+      <Stack space="small">
+        <Text>Out of office:</Text>
+        {delegations.length === 0 && <Text>No substitutes set.</Text>}
+        {delegations.map((d, i) => (
+          <Stack key={i} direction="horizontal" align="center" space="small">
+            <Text>{`${d.from} → ${d.to}: ${d.delegate.displayName}`}</Text>
+            <Button appearance="subtle" isDisabled={savingAway} onClick={() => onRemoveDelegation(i)}>
+              Remove
+            </Button>
+          </Stack>
+        ))}
+        {awayOpen ? (
+          <Stack space="small">
+            <UserPicker
+              name="substitute"
+              label="Substitute"
+              placeholder="Who approves while you are away?"
+              onChange={(user) =>
+                setSubstitute(user?.id ? { accountId: user.id, displayName: user.name } : null)
+              }
+            />
+            <DatePicker label="From" value={awayFrom} onChange={(value) => setAwayFrom(value || '')} />
+            <DatePicker label="To" value={awayTo} onChange={(value) => setAwayTo(value || '')} />
+            <Stack direction="horizontal" space="small">
+              <Button
+                appearance="primary"
+                isDisabled={savingAway || !substitute || !awayFrom || !awayTo}
+                onClick={onAddDelegation}
+              >
+                {savingAway ? 'Saving…' : 'Save substitute'}
+              </Button>
+              <Button appearance="subtle" isDisabled={savingAway} onClick={() => setAwayOpen(false)}>
+                Cancel
+              </Button>
+            </Stack>
+          </Stack>
+        ) : (
+          <Button appearance="subtle" onClick={() => setAwayOpen(true)}>
+            Add substitute
+          </Button>
+        )}
+      </Stack>
+
+      {/* Audit trail */}
+      {history.length > 0 && (
+        <Stack space="small">
+          <Text>History:</Text>
+          {history.map((entry, i) => (
+            <Text key={i}>{formatHistoryEntry(entry)}</Text>
+          ))}
+        </Stack>
+      )}
+    </Stack>
+  );
+}
+
+ForgeReconciler.render(<App />);
@@ -0,0 +1,213 @@
+import React, { useState } from 'react';
+import ForgeReconciler, {
+  Stack,
+  Text,
+  Button,
+  Checkbox,
+  Heading,
+  Label,
+  Lozenge,
+  SectionMessage,
+  Textfield,
+} from '@forge/react';
+import { invoke } from '@forge/bridge';
+
+// One issue at a time with a pause in between keeps us well inside Jira's rate limits;
+// a 429 is retried with a growing back-off before the issue is reported as failed.
+const THROTTLE_MS = 500;
+const RETRY_DELAYS_MS = [2000, 5000, 10000];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isRateLimited = (e) => / 429 /.test(` ${e?.message || ''} `);
+
+const invokeThrottled = async (key, payload) => {
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      return await invoke(key, payload);
+    } catch (e) {
+      if (!isRateLimited(e) || attempt >= RETRY_DELAYS_MS.length) throw e;
+      await sleep(RETRY_DELAYS_MS[attempt]);
+    }
+  }
+};
+
+// Why getIssueData says the current user cannot approve this issue
+const ineligibleReason = (gate) => {
+  if (gate.statusName !== gate.requiredStatus) {
+    return `Not in “${gate.requiredStatus}” (current: ${gate.statusName})`;
+  }
+  if (gate.hasVoted) return 'You already approved';
+  return 'You are not an approver for the current stage';
+};
+
+const RESULT_APPEARANCE = {
+  eligible: 'inprogress',
+  ineligible: 'default',
+  approved: 'success',
+  failed: 'removed',
+};
+
+function App() {
+  const [jql, setJql] = useState('');
+  const [rows, setRows] = useState([]);
+  const [truncated, setTruncated] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [checking, setChecking] = useState(false);
+  const [approving, setApproving] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState(null);
+
+  const updateRow = (key, patch) =>
+    setRows((prev) => prev.map((row) => (row.key === key ? { ...row, ...patch } : row)));
+
+  // Dry run: search, then run the panel's getIssueData checks for each issue
+  const onCheck = async () => {
+    setChecking(true);
+    setError(null);
+    setRows([]);
+    setSelected({});
+    setTruncated(null);
+    try {
+      const result = await invoke('searchBulkCandidates', { jql });
+      setTruncated(result.truncated ? result.limit : null);
+      setRows(result.issues.map((issue) => ({ ...issue, state: 'checking' })));
+
+      const eligible = {};
+      for (const [index, issue] of result.issues.entries()) {
+        setProgress(`Checking ${index + 1}/${result.issues.length}…`);
+        try {
+          const gate = await invokeThrottled('getIssueData', { issueKey: issue.key });
+          const onBehalfOf = gate.canApprove ? null : gate.delegatedFor?.[0]?.accountId || null;
+          // This vote would run the approve transition; only the panel collects its screen values
+          const screenFields = (gate.transitionFields || []).map((field) => field.name);
+          if ((gate.canApprove || onBehalfOf) && screenFields.length > 0) {
+            updateRow(issue.key, {
+              state: 'ineligible',
+              note: `Approving needs ${screenFields.join(', ')} — approve it from the issue`,
+            });
+          } else if (gate.canApprove || onBehalfOf) {
+            eligible[issue.key] = true;
+            updateRow(issue.key, {
+              state: 'eligible',
+              note: onBehalfOf ? `On behalf of ${gate.delegatedFor[0].displayName}` : 'Eligible',
+              onBehalfOf,
+            });
+          } else {
+            updateRow(issue.key, { state: 'ineligible', note: ineligibleReason(gate) });
+          }
+        } catch (e) {
+          updateRow(issue.key, { state: 'ineligible', note: e?.message || String(e) });
+        }
+        await sleep(THROTTLE_MS);
+      }
+      setSelected(eligible);
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setChecking(false);
+      setProgress(null);
+    }
+  };
+
+  // Approve the selected issues one by one, recording each outcome on its row
+  const onApproveSelected = async () => {
+    const keys = rows.filter((row) => selected[row.key]).map((row) => row.key);
+    const runId = Date.now().toString(36);
+    setApproving(true);
+    setError(null);
+    try {
+      for (const [index, key] of keys.entries()) {
+        setProgress(`Approving ${index + 1}/${keys.length}…`);
+        const row = rows.find((r) => r.key === key);
+        try {
+          // Retries after a 429 reuse the request ID, so an approval is never applied twice
+          const resp = await invokeThrottled('approveIssue', {
+            issueKey: key,
+            onBehalfOf: row?.onBehalfOf || undefined,
+            requestId: `${runId}-${key}`,
+          });
+          updateRow(key, { state: 'approved', note: resp?.message || 'Approved' });
+        } catch (e) {
+          updateRow(key, { state: 'failed', note: e?.message || String(e) });
+        }
+        setSelected((prev) => ({ ...prev, [key]: false }));
+        await sleep(THROTTLE_MS);
+      }
+    } finally {
+      setApproving(false);
+      setProgress(null);
+    }
+  };
+
+  const selectedCount = rows.filter((row) => selected[row.key]).length;
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.state]: (acc[row.state] || 0) + 1 }), {});
+  const busy = checking || approving;
+
+  return (
+    <Stack space="medium">
+      <Heading as="h2">Bulk approval</Heading>
+      <Text>
+        Find issues with JQL, check which ones you can approve, then approve the selected issues in one go.
+      </Text>
+
+      {error && (
+        <SectionMessage appearance="error" title="Error">
+          <Text>{error}</Text>
+        </SectionMessage>
+      )}
+
+      <Label labelFor="bulk-jql">JQL</Label>
+      <Textfield
+        id="bulk-jql"
+        placeholder='fixVersion = "2.4.0" AND status = "Ready for Review"'
+        value={jql}
+        onChange={(e) => setJql(e.target.value)}
+        isDisabled={busy}
+      />
+      <Stack direction="horizontal" align="center" space="small">
+        <Button isDisabled={busy || !jql.trim()} onClick={onCheck}>
+          {checking ? 'Checking…' : 'Check eligibility'}
+        </Button>
+        <Button
+          appearance="primary"
+          isDisabled={busy || selectedCount === 0}
+          onClick={onApproveSelected}
+        >
+          {approving ? 'Approving…' : `Approve selected (${selectedCount})`}
+        </Button>
+        {progress && <Text>{progress}</Text>}
+      </Stack>
+
+      {truncated && (
+        <SectionMessage appearance="warning" title="Only the first issues are shown">
+          <Text>{`The query returned more than ${truncated} issues. Narrow it down to see the rest.`}</Text>
+        </SectionMessage>
+      )}
+
+      {/* Summary */}
+      {rows.length > 0 && (
+        <Text>
+          {`${rows.length} issues · ${counts.eligible || 0} eligible · ${counts.approved || 0} approved · ` +
+            `${counts.failed || 0} failed · ${counts.ineligible || 0} not eligible`}
+        </Text>
+      )}
+
+      {/* Per-issue results */}
+      {rows.map((row) => (
+        <Stack key={row.key} direction="horizontal" align="center" space="small">
+          <Checkbox
+            label={`${row.key} ${row.summary}`}
+            isChecked={!!selected[row.key]}
+            isDisabled={busy || row.state !== 'eligible'}
+            onChange={() => setSelected((prev) => ({ ...prev, [row.key]: !prev[row.key] }))}
+          />
+          <Lozenge appearance={RESULT_APPEARANCE[row.state] || 'default'}>{row.state}</Lozenge>
+          {row.note && <Text>{row.note}</Text>}
+        </Stack>
+      ))}
+    </Stack>
+  );
+}
+
+ForgeReconciler.render(<App />);
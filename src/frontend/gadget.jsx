@@ -0,0 +1,239 @@
+import React, { useEffect, useState } from 'react';
+import ForgeReconciler, {
+  Stack,
+  Text,
+  Button,
+  Link,
+  Lozenge,
+  SectionMessage,
+  Select,
+  TextArea,
+} from '@forge/react';
+import { invoke } from '@forge/bridge';
+
+const PAGE_SIZE = 10;
+const ALL_PROJECTS = { label: 'All projects', value: '' };
+
+function App() {
+  const [loading, setLoading] = useState(true);
+  const [page, setPage]       = useState(null);
+  const [error, setError]     = useState(null);
+  const [message, setMessage] = useState(null);
+  const [projectKey, setProjectKey] = useState('');
+  // Search token that opened each page seen so far; the last entry is the current page
+  const [pageTokens, setPageTokens] = useState([null]);
+  // Projects seen on any page, for the filter (the search reports no project list of its own)
+  const [projects, setProjects] = useState([]);
+  const [busyKey, setBusyKey] = useState(null);
+  const [rejectKey, setRejectKey] = useState(null);
+  const [rejectReason, setRejectReason] = useState('');
+
+  // Fetch one page of issues waiting on my vote, opened by the last token in `tokens`
+  const fetchPage = async (tokens = pageTokens, nextProjectKey = projectKey) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const data = await invoke('getPendingApprovals', {
+        projectKey: nextProjectKey,
+        pageToken: tokens[tokens.length - 1],
+        maxResults: PAGE_SIZE,
+      });
+      // The last item on a page may have just been approved — step back a page
+      if (data.issues.length === 0 && !data.nextPageToken && tokens.length > 1) {
+        return fetchPage(tokens.slice(0, -1), nextProjectKey);
+      }
+      setPage(data);
+      setPageTokens(tokens);
+      setProjects((known) => {
+        const byKey = new Map(known.map((p) => [p.key, p]));
+        (data.projects || []).forEach((p) => byKey.set(p.key, p));
+        return Array.from(byKey.values());
+      });
+    } catch (e) {
+      setError(e?.message || String(e));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPage([null], '');
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
+
+  const onProjectChange = (option) => {
+    const key = option?.value ?? '';
+    setProjectKey(key);
+    fetchPage([null], key);
+  };
+
+  // Same resolvers as the issue panel, so the rules (stages, quorum, transition) are identical
+  const onApprove = async (issueKey) => {
+    setBusyKey(issueKey);
+    setMessage(null);
+    try {
+      const resp = await invoke('approveIssue', {
+        issueKey,
+        requestId: `${issueKey}-${Date.now().toString(36)}`,
+      });
+      setMessage(`${issueKey}: ${resp?.message}`);
+      await fetchPage();
+    } catch (e) {
+      setError(`${issueKey}: ${e?.message || String(e)}`);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const onReject = async (issueKey) => {
+    if (!rejectReason.trim()) {
+      setError('Please give a reason for rejecting.');
+      return;
+    }
+    setBusyKey(issueKey);
+    setMessage(null);
+    try {
+      const resp = await invoke('rejectIssue', { issueKey, reason: rejectReason });
+      setMessage(`${issueKey}: ${resp?.message}`);
+      setRejectKey(null);
+      setRejectReason('');
+      await fetchPage();
+    } catch (e) {
+      setError(`${issueKey}: ${e?.message || String(e)}`);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  if (loading && !page) return <Text>Loading…</Text>;
+
+  const projectOptions = [
+    ALL_PROJECTS,
+    ...projects.map((p) => ({ label: `${p.name} (${p.key})`, value: p.key })),
+  ];
+  const issues = page?.issues || [];
+  const pageNumber = pageTokens.length;
+
+  return (
+    <Stack space="medium">
+      {error && (
+        <SectionMessage appearance="error" title="Error">
+          <Text>{error}</Text>
+        </SectionMessage>
+      )}
+      {message && (
+        <SectionMessage appearance="success">
+          <Text>{message}</Text>
+        </SectionMessage>
+      )}
+
+      {/* Project filter */}
+      <Select
+        inputId="pending-approvals-project"
+        options={projectOptions}
+        value={projectOptions.find((o) => o.value === projectKey) || ALL_PROJECTS}
+        onChange={onProjectChange}
+        isDisabled={loading}
+      />
+
+      {/* Only part of the search is checked per load: an empty page can still have a next one */}
+      {issues.length === 0 && (
+        <Text>
+          {page?.nextPageToken
+            ? 'Nothing waiting for you on this page — try Next.'
+            : 'Nothing is waiting for your approval.'}
+        </Text>
+      )}
+
+      {/* One row per issue */}
+      {issues.map((issue) => (
+        <Stack key={issue.key} space="small">
+          <Stack direction="horizontal" align="center" space="small">
+            <Link href={`/browse/${issue.key}`} openNewTab>
+              {issue.key}
+            </Link>
+            <Text>{issue.summary}</Text>
+          </Stack>
+          <Stack direction="horizontal" align="center" space="small">
+            <Lozenge appearance="inprogress">{issue.statusName}</Lozenge>
+            <Text>
+              {`${issue.stageName}: ${issue.approvedCount}/${issue.requiredApprovals} approvals`}
+            </Text>
+          </Stack>
+          {rejectKey === issue.key ? (
+            <Stack space="small">
+              <TextArea
+                placeholder="What needs to change? (required)"
+                value={rejectReason}
+                onChange={(e) => setRejectReason(e.target.value)}
+                isDisabled={busyKey === issue.key}
+              />
+              <Stack direction="horizontal" space="small">
+                <Button
+                  appearance="danger"
+                  isDisabled={busyKey === issue.key || !rejectReason.trim()}
+                  onClick={() => onReject(issue.key)}
+                >
+                  {busyKey === issue.key ? 'Rejecting…' : 'Confirm reject'}
+                </Button>
+                <Button appearance="subtle" onClick={() => setRejectKey(null)}>
+                  Cancel
+                </Button>
+              </Stack>
+            </Stack>
+          ) : (
+            <Stack direction="horizontal" space="small">
+              {/* The last vote runs the approve transition; its required fields need the panel */}
+              {issue.transitionFields?.length > 0 ? (
+                <Text>
+                  {`Approve from the issue — it needs ${issue.transitionFields.join(', ')}`}
+                </Text>
+              ) : (
+                <Button
+                  appearance="primary"
+                  isDisabled={!!busyKey}
+                  onClick={() => onApprove(issue.key)}
+                >
+                  {busyKey === issue.key ? 'Approving…' : 'Approve'}
+                </Button>
+              )}
+              <Button
+                appearance="danger"
+                isDisabled={!!busyKey}
+                onClick={() => {
+                  setRejectKey(issue.key);
+                  setRejectReason('');
+                }}
+              >
+                Reject
+              </Button>
+            </Stack>
+          )}
+        </Stack>
+      ))}
+
+      {/* Paging */}
+      {(pageNumber > 1 || page?.nextPageToken) && (
+        <Stack direction="horizontal" align="center" space="small">
+          <Button
+            appearance="subtle"
+            isDisabled={loading || pageNumber === 1}
+            onClick={() => fetchPage(pageTokens.slice(0, -1))}
+          >
+            Previous
+          </Button>
+          <Text>{`Page ${pageNumber}`}</Text>
+          <Button
+            appearance="subtle"
+            isDisabled={loading || !page?.nextPageToken}
+            onClick={() => fetchPage([...pageTokens, page.nextPageToken])}
+          >
+            Next
+          </Button>
+        </Stack>
+      )}
+    </Stack>
+  );
+}
+
+ForgeReconciler.render(<App />);
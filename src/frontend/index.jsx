@@ -4,12 +4,10 @@ import ForgeReconciler, {
   Button,
   Form,
   FormFooter,
-  Label,
   SectionMessage,
   Spinner,
   Stack,
   Text,
-  TextField,
   UserPicker,
   useProductContext,
 } from '@forge/react';
@@ -29,6 +27,31 @@ const formatAllowedParticipants = (entries) =>
   entries.map((entry) => entry.displayName).join(DELIMITER) ||
   'Anyone with access can participate.';
 
+// Cards that can be the final estimate ("?" and "☕" cannot)
+const SPECIAL_CARDS = ['?', '☕'];
+
+const formatSuggestion = (suggestion) =>
+  suggestion?.median
+    ? `Suggested: ${suggestion.median} (median), ${suggestion.mode} (most common)`
+    : 'No sized estimates to suggest from.';
+
+const formatFinal = (final) =>
+  `${final.estimate} — decided by ${final.decidedBy?.displayName ?? 'unknown'}` +
+  `${final.at ? ` on ${final.at.slice(0, 16).replace('T', ' ')}` : ''}`;
+
+// "Round 2: 3–8 · spread 2 · median 5" — how far apart the revealed cards were
+const formatRound = (round) => {
+  if (round.spread === undefined) {
+    return `Round ${round.number}: ${round.votes} vote(s), not revealed`;
+  }
+  if (round.spread === null) {
+    return `Round ${round.number}: no sized estimates`;
+  }
+  const range = round.low === round.high ? round.low : `${round.low}–${round.high}`;
+  const final = round.final ? ` · final ${round.final}` : '';
+  return `Round ${round.number}: ${range} · spread ${round.spread} · median ${round.median}${final}`;
+};
+
 const normalizePickerValues = (value) => {
   if (!value) {
     return [];
@@ -56,14 +79,16 @@ function App() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [currentUser, setCurrentUser] = useState(null);
-  const [estimate, setEstimate] = useState('');
   const [pokerState, setPokerState] = useState({
     revealed: false,
     estimates: {},
     participants: [],
+    deck: { cards: [] },
+    rounds: [],
   });
   const [participantsSelection, setParticipantsSelection] = useState([]);
   const [submitting, setSubmitting] = useState(false);
+  const [finalChoice, setFinalChoice] = useState('');
   const [participantsSaving, setParticipantsSaving] = useState(false);
 
   const load = useCallback(async () => {
@@ -99,6 +124,9 @@ function App() {
     );
   }, [pokerState]);
 
+  // Before the reveal the resolver only sends my own card; the others are "has voted" flags
+  const myEstimate = pokerState?.myEstimate ?? null;
+
   const allowedParticipants = useMemo(
     () => pokerState?.participants ?? [],
     [pokerState]
@@ -206,34 +234,28 @@ function App() {
     }
   }, [issueKey]);
 
-  const handleSubmit = useCallback(async () => {
+  // Playing a card submits it straight away; playing another one replaces it
+  const handleSubmit = useCallback(async (estimate) => {
     if (!issueKey) return;
     if (!isParticipantAllowed) {
       setError('You are not allowed to participate in this poker session.');
       return;
     }
-    if (!estimate) {
-      setError('Please enter an estimate before submitting.');
-      return;
-    }
 
     try {
       setSubmitting(true);
       setError(null);
       const nextState = await invoke('enterEstimate', {
         issueKey,
-        accountId: currentUser?.accountId,
-        displayName: currentUser?.displayName,
         estimate,
       });
       setPokerState(nextState);
-      setEstimate('');
     } catch (e) {
       setError(e.message || String(e));
     } finally {
       setSubmitting(false);
     }
-  }, [issueKey, estimate, currentUser, isParticipantAllowed]);
+  }, [issueKey, isParticipantAllowed]);
 
   const handleReveal = useCallback(async () => {
     if (!issueKey) return;
@@ -263,6 +285,44 @@ function App() {
     }
   }, [issueKey]);
 
+  const handleNewRound = useCallback(async () => {
+    if (!issueKey) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      const nextState = await invoke('startNewRound', { issueKey });
+      setPokerState(nextState);
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setSubmitting(false);
+    }
+  }, [issueKey]);
+
+  const handleFinalize = useCallback(async (estimate) => {
+    if (!issueKey) return;
+    try {
+      setSubmitting(true);
+      setError(null);
+      const nextState = await invoke('finalizeEstimate', { issueKey, estimate });
+      setPokerState(nextState);
+      setFinalChoice('');
+    } catch (e) {
+      setError(e.message || String(e));
+    } finally {
+      setSubmitting(false);
+    }
+  }, [issueKey]);
+
+  // Reveal, reset, rounds, finalizing and the participant list are the facilitator's; a session
+  // nobody has started yet can be set up by anyone, unless a facilitator role is configured
+  const canFacilitate = Boolean(
+    pokerState.isFacilitator || (!pokerState.facilitator && !pokerState.facilitatorRole)
+  );
+
+  // Final card: the one picked, otherwise the suggested median
+  const chosenFinal = finalChoice || pokerState.suggestion?.median || '';
+
   if (loading) return <Spinner />;
   if (!issueKey) return <Spinner />;
 
@@ -278,40 +338,48 @@ function App() {
         </SectionMessage>
       ) : null}
 
-      <SectionMessage title="Poker participation" appearance="information">
-        <Text>
-          Choose who can participate in this poker session. Leave the list empty
-          to allow anyone with access.
-        </Text>
-      </SectionMessage>
+      {pokerState.facilitator ? (
+        <Text>{`Facilitator: ${pokerState.facilitator.displayName}`}</Text>
+      ) : null}
 
-      <Form onSubmit={handleParticipantsSubmit}>
-        <UserPicker
-          name="pokerParticipants"
-          label="Allowed participants"
-          isMulti
-          value={participantsSelection}
-          onChange={(value) => setParticipantsSelection(normalizePickerValues(value))}
-          placeholder="Search for users"
-        />
-        <FormFooter>
-          <Button
-            appearance="primary"
-            type="submit"
-            isDisabled={participantsSaving}
-          >
-            {participantsSaving ? 'Saving…' : 'Save participants'}
-          </Button>
-          <Button
-            appearance="subtle"
-            type="button"
-            onClick={handleAllowAll}
-            isDisabled={participantsSaving}
-          >
-            Allow all
-          </Button>
-        </FormFooter>
-      </Form>
+      {canFacilitate ? (
+        <>
+          <SectionMessage title="Poker participation" appearance="information">
+            <Text>
+              Choose who can participate in this poker session. Leave the list empty
+              to allow anyone with access.
+            </Text>
+          </SectionMessage>
+
+          <Form onSubmit={handleParticipantsSubmit}>
+            <UserPicker
+              name="pokerParticipants"
+              label="Allowed participants"
+              isMulti
+              value={participantsSelection}
+              onChange={(value) => setParticipantsSelection(normalizePickerValues(value))}
+              placeholder="Search for users"
+            />
+            <FormFooter>
+              <Button
+                appearance="primary"
+                type="submit"
+                isDisabled={participantsSaving}
+              >
+                {participantsSaving ? 'Saving…' : 'Save participants'}
+              </Button>
+              <Button
+                appearance="subtle"
+                type="button"
+                onClick={handleAllowAll}
+                isDisabled={participantsSaving}
+              >
+                Allow all
+              </Button>
+            </FormFooter>
+          </Form>
+        </>
+      ) : null}
 
       <Stack space="small">
         <Text>Participants allowed:</Text>
@@ -327,25 +395,24 @@ function App() {
         </SectionMessage>
       ) : null}
 
-      <Form onSubmit={handleSubmit}>
-        <Label labelFor="poker-estimate">Poker: enter your estimate</Label>
-        <TextField
-          id="poker-estimate"
-          value={estimate}
-          onChange={(e) => setEstimate(e.target.value)}
-          placeholder="e.g. 3"
-          isDisabled={!isParticipantAllowed || submitting}
-        />
-        <FormFooter>
-          <Button
-            appearance="primary"
-            type="submit"
-            isDisabled={!isParticipantAllowed || submitting}
-          >
-            {submitting ? 'Saving…' : 'Submit estimate'}
-          </Button>
-        </FormFooter>
-      </Form>
+      <Stack space="small">
+        <Text>
+          {`Poker round ${pokerState.round ?? 1}: pick your card (${pokerState.deck?.name ?? 'deck'})`}
+        </Text>
+        <Stack space="small" direction="horizontal">
+          {(pokerState.deck?.cards ?? []).map((card) => (
+            <Button
+              key={card}
+              appearance={String(myEstimate) === card ? 'primary' : 'default'}
+              onClick={() => handleSubmit(card)}
+              isDisabled={!isParticipantAllowed || submitting || Boolean(pokerState.final)}
+            >
+              {card}
+            </Button>
+          ))}
+        </Stack>
+        {myEstimate !== null ? <Text>{`Your estimate: ${myEstimate}`}</Text> : null}
+      </Stack>
 
       <Stack space="small">
         <Text>Team estimates:</Text>
@@ -354,14 +421,76 @@ function App() {
         </Text>
       </Stack>
 
-      <Stack space="small" direction="horizontal">
-        <Button appearance="primary" onClick={handleReveal} isDisabled={submitting}>
-          Poker: reveal team estimates
-        </Button>
-        <Button appearance="warning" onClick={handleClear} isDisabled={submitting}>
-          Poker: clear team estimates
-        </Button>
-      </Stack>
+      {/* Agree on the final estimate once the cards are on the table */}
+      {pokerState.final ? (
+        <SectionMessage title="Final estimate" appearance="success">
+          <Text>{formatFinal(pokerState.final)}</Text>
+        </SectionMessage>
+      ) : null}
+      {pokerState.revealed && !pokerState.final ? (
+        <Stack space="small">
+          <Text>{formatSuggestion(pokerState.suggestion)}</Text>
+          {canFacilitate ? (
+            <>
+              <Stack space="small" direction="horizontal">
+                {(pokerState.deck?.cards ?? [])
+                  .filter((card) => !SPECIAL_CARDS.includes(card))
+                  .map((card) => (
+                    <Button
+                      key={card}
+                      appearance={chosenFinal === card ? 'primary' : 'default'}
+                      onClick={() => setFinalChoice(card)}
+                      isDisabled={submitting}
+                    >
+                      {card}
+                    </Button>
+                  ))}
+              </Stack>
+              <Button
+                appearance="primary"
+                onClick={() => handleFinalize(chosenFinal)}
+                isDisabled={submitting || !chosenFinal}
+              >
+                {chosenFinal
+                  ? `Poker: finalize estimate (${chosenFinal})`
+                  : 'Poker: finalize estimate'}
+              </Button>
+            </>
+          ) : null}
+        </Stack>
+      ) : null}
+
+      {canFacilitate ? (
+        <Stack space="small" direction="horizontal">
+          <Button
+            appearance="primary"
+            onClick={handleReveal}
+            isDisabled={submitting || Boolean(pokerState.final)}
+          >
+            Poker: reveal team estimates
+          </Button>
+          <Button
+            appearance="warning"
+            onClick={handleClear}
+            isDisabled={submitting || Boolean(pokerState.final)}
+          >
+            Poker: clear team estimates
+          </Button>
+          <Button onClick={handleNewRound} isDisabled={submitting || !pokerState.revealed}>
+            Poker: start new round
+          </Button>
+        </Stack>
+      ) : null}
+
+      {/* Convergence across rounds */}
+      {pokerState.rounds?.length > 1 ? (
+        <Stack space="small">
+          <Text>Rounds so far:</Text>
+          {pokerState.rounds.map((round) => (
+            <Text key={round.number}>{formatRound(round)}</Text>
+          ))}
+        </Stack>
+      ) : null}
     </Stack>
   );
 }
@@ -1 +1,8 @@
 export { handler } from './resolvers';
+export { handler as approvalHandler } from './resolvers/approvals';
+export { handler as adminHandler } from './resolvers/admin';
+export { handler as webhookRetryHandler } from './consumers/webhooks';
+export { handler as reminderQueueHandler } from './consumers/reminders';
+export { handler as invalidationHandler } from './triggers/invalidation';
+export { handler as reminderHandler } from './triggers/reminders';
+export { handler as validatorHandler } from './validators/quorum';
@@ -0,0 +1,51 @@
+// Estimation decks for planning poker. Cards are kept as strings, so T-shirt sizes and the
+// special cards ("?" = no idea, "☕" = need a break) are stored exactly as they were played.
+export const UNSURE_CARD = '?';
+export const BREAK_CARD = '☕';
+
+export const BUILT_IN_DECKS = {
+  fibonacci: {
+    name: 'Fibonacci',
+    cards: ['0', '1', '2', '3', '5', '8', '13', '21', UNSURE_CARD, BREAK_CARD],
+  },
+  tshirt: {
+    name: 'T-shirt sizes',
+    cards: ['XS', 'S', 'M', 'L', 'XL', 'XXL', UNSURE_CARD, BREAK_CARD],
+  },
+  powers: {
+    name: 'Powers of two',
+    cards: ['0', '1', '2', '4', '8', '16', '32', UNSURE_CARD, BREAK_CARD],
+  },
+};
+
+export const CUSTOM_DECK_ID = 'custom';
+export const DECK_IDS = [...Object.keys(BUILT_IN_DECKS), CUSTOM_DECK_ID];
+export const DEFAULT_DECK_ID = 'fibonacci';
+
+// Longest card label / most cards a custom deck may have (cards are rendered as buttons)
+export const MAX_CARD_LENGTH = 10;
+export const MAX_CUSTOM_CARDS = 30;
+
+const isNumeric = (text) => text !== '' && Number.isFinite(Number(text));
+
+// The deck a project votes with; a custom deck without cards falls back to the default
+export const getDeck = (settings) => {
+  if (settings.pokerDeck === CUSTOM_DECK_ID && settings.pokerCustomDeck?.length > 0) {
+    return { id: CUSTOM_DECK_ID, name: 'Custom', cards: settings.pokerCustomDeck };
+  }
+  const id = BUILT_IN_DECKS[settings.pokerDeck] ? settings.pokerDeck : DEFAULT_DECK_ID;
+  return { id, ...BUILT_IN_DECKS[id] };
+};
+
+// The deck card matching a submitted value ("m" → "M", "03" → "3"), or null when it is not in the deck
+export const findCard = (deck, value) => {
+  const text = String(value ?? '').trim();
+  if (!text) return null;
+  return (
+    deck.cards.find(
+      (card) =>
+        card.toLowerCase() === text.toLowerCase() ||
+        (isNumeric(card) && isNumeric(text) && Number(card) === Number(text))
+    ) ?? null
+  );
+};
@@ -0,0 +1,79 @@
+import { BREAK_CARD, UNSURE_CARD } from './decks';
+
+// Jira's original estimate lives in time tracking rather than in a field of its own
+export const ORIGINAL_ESTIMATE_FIELD = 'timeoriginalestimate';
+
+const DURATION_PATTERN = /^(\d+(\.\d+)?[wdhm]\s*)+$/;
+
+// Played cards that carry a size, in deck order ("?" and "☕" count as a vote, not an estimate)
+const sizedCards = (deck, estimates) =>
+  Object.values(estimates)
+    .map((entry) => String(entry.estimate))
+    .filter((card) => card !== UNSURE_CARD && card !== BREAK_CARD && deck.cards.includes(card))
+    .sort((a, b) => deck.cards.indexOf(a) - deck.cards.indexOf(b));
+
+// Median and mode of the played cards, by position in the deck so T-shirt sizes work as well as numbers.
+// An even count takes the upper middle card and a tied mode the larger card — estimates err high.
+export function suggestEstimate(deck, estimates) {
+  const cards = sizedCards(deck, estimates);
+  if (cards.length === 0) {
+    return { median: null, mode: null };
+  }
+
+  const counts = new Map();
+  cards.forEach((card) => counts.set(card, (counts.get(card) || 0) + 1));
+  let mode = null;
+  counts.forEach((count, card) => {
+    if (mode === null || count >= counts.get(mode)) {
+      mode = card;
+    }
+  });
+
+  return { median: cards[Math.floor(cards.length / 2)], mode };
+}
+
+// Issue fields for the agreed card: a number for story points, or a Jira duration for the original
+// estimate (a bare number is read as hours, "3" → "3h")
+export function toEstimateFields(fieldId, card) {
+  if (fieldId === ORIGINAL_ESTIMATE_FIELD) {
+    const duration = /^\d+(\.\d+)?$/.test(card) ? `${card}h` : card;
+    if (!DURATION_PATTERN.test(duration)) {
+      throw new Error(`"${card}" is not a time estimate Jira understands (e.g. 3h, 2d).`);
+    }
+    return { timetracking: { originalEstimate: duration } };
+  }
+
+  const points = Number(card);
+  if (card === '' || !Number.isFinite(points)) {
+    throw new Error(`"${card}" cannot be written to a number field — pick a numeric card.`);
+  }
+  return { [fieldId]: points };
+}
+
+// One line of the convergence view: how far apart the sized cards of a revealed round were.
+// `spread` counts deck steps between the lowest and highest card (0 = everyone agreed).
+export function summarizeRound(deck, round) {
+  const summary = {
+    number: round.number,
+    startedAt: round.startedAt,
+    revealedAt: round.revealedAt,
+    participants: round.participants,
+    votes: Object.keys(round.estimates).length,
+    final: round.final?.estimate ?? null,
+  };
+  if (!round.revealed) {
+    return summary;
+  }
+
+  const cards = sizedCards(deck, round.estimates);
+  const low = cards[0] ?? null;
+  const high = cards[cards.length - 1] ?? null;
+  return {
+    ...summary,
+    estimates: Object.values(round.estimates),
+    low,
+    high,
+    median: suggestEstimate(deck, round.estimates).median,
+    spread: low === null ? null : deck.cards.indexOf(high) - deck.cards.indexOf(low),
+  };
+}
@@ -0,0 +1,35 @@
+import { getGroupMembers, getProjectRoleActors } from '../approvals/jira';
+
+// The facilitator runs a poker session — reveals, resets, starts rounds, finalizes and picks who may
+// vote. That is whoever created the session, plus members of the project role configured on the
+// admin page (`pokerFacilitatorRole`), directly or through one of the role's groups.
+async function isInProjectRole(projectKey, roleName, accountId) {
+  const actors = await getProjectRoleActors(projectKey, roleName);
+  if (actors.users.some((u) => u.accountId === accountId)) {
+    return true;
+  }
+  for (const groupName of actors.groups) {
+    const members = await getGroupMembers(groupName);
+    if (members.some((u) => u.accountId === accountId)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// A failed role lookup (role renamed, project permissions) counts as not being in the role, so it
+// never breaks loading the session
+export async function isFacilitator({ facilitator, projectKey, roleName, accountId }) {
+  if (facilitator?.accountId === accountId) {
+    return true;
+  }
+  if (!roleName || !projectKey) {
+    return false;
+  }
+  try {
+    return await isInProjectRole(projectKey, roleName, accountId);
+  } catch (e) {
+    console.error(`Facilitator role lookup failed: ${e?.message || e}`);
+    return false;
+  }
+}
@@ -0,0 +1,81 @@
+import Resolver from '@forge/resolver';
+import api, { route } from '@forge/api';
+import {
+  DEFAULT_SETTINGS,
+  GLOBAL_SCOPE,
+  getSettings,
+  getStoredSettings,
+  isValidScope,
+  saveStoredSettings,
+} from '../approvals/config';
+import {
+  WEBHOOK_EVENTS,
+  getWebhookEndpoints,
+  hasWebhookSecret,
+  saveWebhookSettings,
+} from '../approvals/webhooks';
+
+const resolver = new Resolver();
+
+// The admin page is only listed for Jira admins, but resolvers can be invoked directly — check again
+const assertAdmin = async () => {
+  const res = await api
+    .asUser()
+    .requestJira(route`/rest/api/3/mypermissions?permissions=ADMINISTER`);
+  if (!res.ok) {
+    throw new Error(`Permission check failed: ${res.status} ${await res.text()}`);
+  }
+  const body = await res.json();
+  if (!body?.permissions?.ADMINISTER?.havePermission) {
+    throw new Error('Only Jira administrators can change approval settings.');
+  }
+};
+
+const getScope = (payload) => {
+  const scope = payload?.scope || GLOBAL_SCOPE;
+  if (!isValidScope(scope)) {
+    throw new Error('scope must be "global" or a project key.');
+  }
+  return scope;
+};
+
+// Stored values for the scope plus what they resolve to once defaults/global are applied
+const describeScope = async (scope) => {
+  const [stored, effective] = await Promise.all([
+    getStoredSettings(scope),
+    getSettings(scope === GLOBAL_SCOPE ? null : scope),
+  ]);
+  return { scope, stored, effective, defaults: DEFAULT_SETTINGS };
+};
+
+resolver.define('getApprovalSettings', async ({ payload }) => {
+  await assertAdmin();
+  return describeScope(getScope(payload));
+});
+
+resolver.define('saveApprovalSettings', async ({ payload }) => {
+  await assertAdmin();
+  const scope = getScope(payload);
+  await saveStoredSettings(scope, payload?.settings);
+  return describeScope(scope);
+});
+
+// Webhooks are site-wide; the secret is write-only (the page only learns whether one is set)
+const describeWebhooks = async () => ({
+  endpoints: await getWebhookEndpoints(),
+  hasSecret: await hasWebhookSecret(),
+  events: WEBHOOK_EVENTS,
+});
+
+resolver.define('getWebhookSettings', async () => {
+  await assertAdmin();
+  return describeWebhooks();
+});
+
+resolver.define('saveWebhookSettings', async ({ payload }) => {
+  await assertAdmin();
+  await saveWebhookSettings({ endpoints: payload?.endpoints, secret: payload?.secret });
+  return describeWebhooks();
+});
+
+export const handler = resolver.getDefinitions();
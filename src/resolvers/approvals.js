@@ -0,0 +1,574 @@
+import Resolver from '@forge/resolver';
+import { randomUUID } from 'crypto';
+import { approvalComment, toCommentVisibility } from '../approvals/comments';
+import {
+  addDelegation,
+  getActiveDelegators,
+  getDelegations,
+  removeDelegation,
+} from '../approvals/delegation';
+import {
+  addAdfComment,
+  addComment,
+  findTransition,
+  getIssueByKeyOrId,
+  getMyself,
+  getRequiredTransitionFields,
+  searchIssues,
+  toTransitionScreen,
+  transitionTo,
+  updateIssueFields,
+} from '../approvals/jira';
+import { findPendingApprovals } from '../approvals/pending';
+import {
+  allApprovers,
+  evaluateStages,
+  getIssueWithSettings,
+  resolveStages,
+} from '../approvals/quorum';
+import {
+  approvedIds,
+  approverStates,
+  captureIssueState,
+  delegatedVotes,
+  findRequest,
+  latestRejection,
+  readApprovalRecord,
+  recordDecision,
+  revertRequest,
+  staleVotes,
+  updateApprovalRecord,
+} from '../approvals/record';
+import { captureSnapshot, diffSnapshot, loadSnapshots } from '../approvals/snapshot';
+import { approvalEventPayload, emitApprovalEvent } from '../approvals/webhooks';
+
+const resolver = new Resolver();
+
+// Bulk approval works on at most this many issues per query
+const BULK_LIMIT = 100;
+
+const isListed = (users, accountId) => users.some(u => u?.accountId === accountId);
+
+const onBehalf = (principal, delegate) =>
+  delegate ? `${delegate.displayName} on behalf of ${principal.displayName}` : principal.displayName;
+
+// Gate/data for UI
+resolver.define('getIssueData', async ({ payload }) => {
+  const idOrKey = payload.issueKey || payload.issueId;
+  if (!idOrKey) throw new Error('Missing issueKey/issueId');
+
+  const { issue, settings, statusName } = await getIssueWithSettings(idOrKey);
+
+  const me = await getMyself();
+
+  const [record, stages] = await Promise.all([
+    readApprovalRecord(issue.id),
+    resolveStages(issue, settings),
+  ]);
+  const progress = evaluateStages(stages, record);
+  const approvers = allApprovers(progress);
+
+  // Top-level counts describe the active stage (or the last one once everything is met)
+  const current = progress.activeStage || progress.stages[progress.stages.length - 1];
+  const hasVoted = approvedIds(record, current.id).includes(me.accountId);
+
+  const inReview = statusName === settings.requiredStatus;
+  const canApprove =
+    inReview &&
+    !!progress.activeStage &&
+    isListed(progress.activeStage.approvers, me.accountId) &&
+    !hasVoted;
+  // Active-stage approvers who are away and named me as their substitute
+  const delegatedFor =
+    inReview && progress.activeStage
+      ? await getActiveDelegators(
+          me.accountId,
+          progress.activeStage.remaining.filter(u => u.accountId !== me.accountId)
+        )
+      : [];
+
+  // Every stage is met but the issue is still in review (the transition failed, or the approver list
+  // changed): anyone listed on a stage, or their substitute, can finish it through approveIssue
+  const canComplete =
+    inReview &&
+    !progress.activeStage &&
+    (isListed(approvers, me.accountId) ||
+      (await getActiveDelegators(me.accountId, approvers)).length > 0);
+
+  // If this vote would complete the last stage, the panel collects the approve transition's
+  // required screen fields up front
+  const voter = canApprove ? me : delegatedFor[0];
+  let transitionFields = [];
+  if (canComplete) {
+    transitionFields = getRequiredTransitionFields(
+      await findTransition(issue.id, settings.targetStatus)
+    );
+  } else if (voter) {
+    const withVote = recordDecision(record, {
+      user: voter,
+      decision: 'approved',
+      stage: progress.activeStage.id,
+    });
+    if (evaluateStages(stages, withVote).met) {
+      transitionFields = getRequiredTransitionFields(
+        await findTransition(issue.id, settings.targetStatus)
+      );
+    }
+  }
+
+  const canWithdraw =
+    approvedIds(record).includes(me.accountId) &&
+    [settings.requiredStatus, settings.targetStatus].includes(statusName);
+
+  const category = issue.fields?.status?.statusCategory;
+  const snapshot = captureSnapshot(issue, settings);
+  // Only snapshots that differ from the issue now are needed, to show what changed
+  const signedSnapshots = await loadSnapshots(
+    record.votes.map(v => v.snapshot?.hash).filter(hash => hash !== snapshot.hash)
+  );
+
+  return {
+    statusName,
+    statusCategory: { key: category?.key || null, colorName: category?.colorName || null },
+    statusAppearances: settings.statusAppearances,
+    requiredStatus: settings.requiredStatus,
+    targetStatus: settings.targetStatus,
+    approvers,
+    approvedCount: current.approvedCount,
+    totalApprovers: current.approvers.length,
+    requiredApprovals: current.required,
+    policyType: current.policyType,
+    quorumMet: progress.met,
+    missingGroups: current.missingGroups,
+    remainingApprovers: current.remaining,
+    currentAccountId: me.accountId,
+    stages: progress.stages.map(stage => ({
+      id: stage.id,
+      name: stage.name,
+      state: stage.state,
+      // What changed since each approver signed off (empty when the snapshot still matches)
+      approvers: approverStates(record, stage.id, stage.approvers).map(({ snapshot: signed, ...u }) => ({
+        ...u,
+        changes: diffSnapshot(signedSnapshots.get(signed?.hash) || signed, snapshot),
+      })),
+      approvedCount: stage.approvedCount,
+      requiredApprovals: stage.required,
+      remainingApprovers: stage.remaining,
+    })),
+    activeStageId: progress.activeStage?.id || null,
+    hasVoted,
+    canApprove,
+    canComplete,
+    canReject: inReview && (isListed(approvers, me.accountId) || delegatedFor.length > 0),
+    delegatedFor,
+    delegatedVotes: delegatedVotes(record).map(v => ({
+      accountId: v.accountId,
+      displayName: v.displayName,
+      delegate: v.delegate,
+    })),
+    canWithdraw,
+    transitionFields,
+    lastRejection: latestRejection(record),
+    staleApprovers: staleVotes(record).map(v => ({ accountId: v.accountId, displayName: v.displayName })),
+  };
+});
+
+// Audit trail for the panel, newest first
+resolver.define('getApprovalHistory', async ({ payload }) => {
+  const idOrKey = payload.issueKey || payload.issueId;
+  if (!idOrKey) throw new Error('Missing issueKey/issueId');
+
+  const issue = await getIssueByKeyOrId(idOrKey);
+  const record = await readApprovalRecord(issue.id);
+
+  return { history: [...record.history].reverse() };
+});
+
+// Compensating steps run in order and best-effort — the caller rethrows the original error
+async function undo(steps) {
+  for (const step of steps) {
+    try {
+      await step();
+    } catch (e) {
+      console.error(`Approval rollback step failed: ${e?.message || e}`);
+    }
+  }
+}
+
+// Approve action — votes count towards the active stage; the transition runs after the last one.
+// Idempotent per `payload.requestId`: a retry does not vote twice, and when the transition or the
+// field update fails, the steps already done are undone before the error is returned.
+resolver.define('approveIssue', async ({ payload }) => {
+  const idOrKey = payload.issueKey || payload.issueId;
+  if (!idOrKey) throw new Error('Missing issueKey/issueId');
+  const requestId = payload.requestId ? String(payload.requestId) : randomUUID();
+
+  const me = await getMyself();
+
+  const { issue, settings, statusName } = await getIssueWithSettings(idOrKey);
+
+  // Retry of a request that already went all the way through
+  if (statusName === settings.targetStatus) {
+    const done = findRequest(await readApprovalRecord(issue.id), requestId);
+    if (done) {
+      return { message: `Approved by ${onBehalf(done, done.delegate)}`, quorumMet: true };
+    }
+  }
+
+  if (statusName !== settings.requiredStatus) {
+    throw new Error(`Must be in "${settings.requiredStatus}" to approve (current: ${statusName})`);
+  }
+
+  const stages = await resolveStages(issue, settings);
+  const current = await readApprovalRecord(issue.id);
+  let progress = evaluateStages(stages, current);
+  const stage = progress.activeStage;
+
+  // Record vote first — the transition only runs once every stage is satisfied
+  let principal = me;
+  let delegate = null;
+  let screen = {};
+  let recorded = false;
+  if (stage) {
+    if (payload.onBehalfOf || !isListed(stage.approvers, me.accountId)) {
+      // Substitute voting for an away approver (explicitly chosen, or the first one pending)
+      const candidates = stage.remaining.filter(u =>
+        payload.onBehalfOf ? u.accountId === payload.onBehalfOf : u.accountId !== me.accountId
+      );
+      const [delegator] = await getActiveDelegators(me.accountId, candidates);
+      if (!delegator) {
+        const later = progress.stages.find(
+          s => s.state === 'waiting' && isListed(s.approvers, me.accountId)
+        );
+        throw new Error(
+          later
+            ? `"${later.name}" approval starts after "${stage.name}" is complete`
+            : `Only listed approvers for "${stage.name}" (or their substitutes) can approve this issue now`
+        );
+      }
+      principal = delegator;
+      delegate = me;
+    }
+
+    // Check the transition screen before storing a vote that would trigger it
+    const withVote = recordDecision(current, {
+      user: principal,
+      decision: 'approved',
+      stage: stage.id,
+    });
+    if (evaluateStages(stages, withVote).met) {
+      screen = toTransitionScreen(
+        getRequiredTransitionFields(await findTransition(issue.id, settings.targetStatus)),
+        payload.transitionFields
+      );
+    }
+
+    // A double click (or a concurrent approver) is re-applied on the latest record
+    const record = await updateApprovalRecord(issue.id, latest => {
+      recorded = !approvedIds(latest, stage.id).includes(principal.accountId);
+      return recorded
+        ? recordDecision(latest, {
+            user: principal,
+            delegate,
+            decision: 'approved',
+            stage: stage.id,
+            requestId,
+            comment: payload.comment,
+            issueState: captureIssueState(issue, settings),
+          })
+        : latest;
+    });
+    progress = evaluateStages(stages, record);
+  } else {
+    // Every stage is already met but the issue is still in review (an earlier transition failed, or
+    // the approver list changed): only someone listed on a stage, or their substitute, may finish it
+    const listed = allApprovers(progress);
+    if (!isListed(listed, me.accountId)) {
+      const [delegator] = await getActiveDelegators(me.accountId, listed);
+      if (!delegator) {
+        throw new Error('Only listed approvers (or their substitutes) can approve this issue');
+      }
+      principal = delegator;
+      delegate = me;
+    }
+    screen = toTransitionScreen(
+      getRequiredTransitionFields(await findTransition(issue.id, settings.targetStatus)),
+      payload.transitionFields
+    );
+  }
+
+  // "✅ Approved by @…" on the issue — only for a vote this request added; a failed comment
+  // does not undo the approval
+  const postApprovalComment = async () => {
+    if (!recorded) return;
+    try {
+      await addAdfComment(
+        issue.id,
+        approvalComment({ principal, delegate, note: payload.comment }),
+        undefined,
+        toCommentVisibility(settings.commentVisibility)
+      );
+    } catch (e) {
+      console.error(`Approval comment failed: ${e?.message || e}`);
+    }
+  };
+
+  const notify = status =>
+    recorded &&
+    emitApprovalEvent(
+      'approved',
+      approvalEventPayload(issue, {
+        decision: 'approved',
+        principal,
+        delegate,
+        status,
+        progress,
+        comment: payload.comment,
+      })
+    );
+
+  if (!progress.met) {
+    await postApprovalComment();
+    await notify(statusName);
+    const next = progress.activeStage;
+    if (next.id !== stage.id) {
+      return { message: `"${stage.name}" approved. Next: "${next.name}"`, quorumMet: false };
+    }
+    const waitingOn = next.remaining.map(u => u.displayName).join(', ') || '(none)';
+    return {
+      message: `Approval recorded (${next.approvedCount}/${next.required}). Waiting on: ${waitingOn}`,
+      quorumMet: false,
+    };
+  }
+
+  // Takes this request's vote back out (no-op when the vote predates the request)
+  const revertVote = error => () =>
+    updateApprovalRecord(issue.id, latest =>
+      revertRequest(latest, requestId, {
+        comment: `Approval could not be completed: ${error?.message || error}`,
+      })
+    );
+
+  // Transition → Approved (with any required screen fields)
+  try {
+    await transitionTo(issue.id, settings.targetStatus, undefined, screen);
+  } catch (e) {
+    await undo([revertVote(e)]);
+    throw e;
+  }
+
+  // Set Approval Date (ISO is fine; if your field is date-only, send YYYY-MM-DD instead)
+  // + Approval given by, when that field is configured
+  const nowIso = new Date().toISOString();
+  const fields = { [settings.approvalDateField]: nowIso };
+  if (settings.approvalGivenByField) {
+    fields[settings.approvalGivenByField] = { accountId: me.accountId };
+  }
+  try {
+    await updateIssueFields(issue.id, fields);
+  } catch (e) {
+    // Never leave the issue Approved without its date — back to review, vote removed
+    await undo([() => transitionTo(issue.id, settings.requiredStatus), revertVote(e)]);
+    throw e;
+  }
+
+  await postApprovalComment();
+  await notify(settings.targetStatus);
+
+  return { message: `Approved by ${onBehalf(principal, delegate)}`, quorumMet: true };
+});
+
+// Reject action — a single rejection clears approvals and sends the issue back
+resolver.define('rejectIssue', async ({ payload }) => {
+  const idOrKey = payload.issueKey || payload.issueId;
+  if (!idOrKey) throw new Error('Missing issueKey/issueId');
+
+  const reason = String(payload.reason || '').trim();
+  if (!reason) throw new Error('A reason is required to reject');
+
+  const me = await getMyself();
+
+  const { issue, settings, statusName } = await getIssueWithSettings(idOrKey);
+
+  if (statusName !== settings.requiredStatus) {
+    throw new Error(`Must be in "${settings.requiredStatus}" to reject (current: ${statusName})`);
+  }
+
+  // Any stage's approvers may reject, even before their stage is active
+  const record = await readApprovalRecord(issue.id);
+  const stages = await resolveStages(issue, settings);
+  const progress = evaluateStages(stages, record);
+  let principal = me;
+  let delegate = null;
+  if (!isListed(allApprovers(progress), me.accountId)) {
+    const [delegator] = await getActiveDelegators(me.accountId, allApprovers(progress));
+    if (!delegator) {
+      throw new Error('Only listed approvers (or their substitutes) can reject this issue');
+    }
+    principal = delegator;
+    delegate = me;
+  }
+
+  // Transition → back to work, first: if Jira refuses it nothing has been recorded yet
+  await transitionTo(issue.id, settings.rejectStatus);
+
+  // Record rejection — drops every approval given so far; the history keeps them.
+  // Never leave the issue rejected with its approvals still standing — back to review.
+  let updated;
+  try {
+    updated = await updateApprovalRecord(issue.id, latest =>
+      recordDecision(latest, {
+        user: principal,
+        delegate,
+        decision: 'rejected',
+        stage: progress.activeStage?.id,
+        comment: reason,
+        issueState: captureIssueState(issue, settings),
+      })
+    );
+  } catch (e) {
+    await undo([() => transitionTo(issue.id, settings.requiredStatus)]);
+    throw e;
+  }
+
+  // Reason as a Jira comment — the rejection is already applied, so a failed comment does not undo it
+  try {
+    await addComment(issue.id, `Changes requested by ${onBehalf(principal, delegate)}: ${reason}`);
+  } catch (e) {
+    console.error(`Rejection comment failed: ${e?.message || e}`);
+  }
+
+  await emitApprovalEvent(
+    'rejected',
+    approvalEventPayload(issue, {
+      decision: 'rejected',
+      principal,
+      delegate,
+      status: settings.rejectStatus,
+      progress: evaluateStages(stages, updated),
+      comment: reason,
+    })
+  );
+
+  return { message: `Rejected by ${onBehalf(principal, delegate)}` };
+});
+
+// Withdraw action — removes the caller's approvals and undoes "Approved" if quorum is lost
+resolver.define('withdrawApproval', async ({ payload }) => {
+  const idOrKey = payload.issueKey || payload.issueId;
+  if (!idOrKey) throw new Error('Missing issueKey/issueId');
+
+  const me = await getMyself();
+
+  const { issue, settings, statusName } = await getIssueWithSettings(idOrKey);
+
+  if (![settings.requiredStatus, settings.targetStatus].includes(statusName)) {
+    throw new Error(
+      `Approvals can only be withdrawn in "${settings.requiredStatus}" or "${settings.targetStatus}" (current: ${statusName})`
+    );
+  }
+
+  if (!approvedIds(await readApprovalRecord(issue.id)).includes(me.accountId)) {
+    throw new Error('You have no approval to withdraw on this issue');
+  }
+
+  const record = await updateApprovalRecord(issue.id, latest =>
+    approvedIds(latest).includes(me.accountId)
+      ? recordDecision(latest, {
+          user: me,
+          decision: 'withdrawn',
+          comment: payload.comment,
+          issueState: captureIssueState(issue, settings),
+        })
+      : latest
+  );
+
+  const progress = evaluateStages(await resolveStages(issue, settings), record);
+  const notify = status =>
+    emitApprovalEvent(
+      'withdrawn',
+      approvalEventPayload(issue, {
+        decision: 'withdrawn',
+        principal: me,
+        status,
+        progress,
+        comment: payload.comment,
+      })
+    );
+
+  if (statusName === settings.targetStatus && !progress.met) {
+    // Back to review and clear what the approval stamped on the issue
+    await transitionTo(issue.id, settings.requiredStatus);
+    const fields = { [settings.approvalDateField]: null };
+    if (settings.approvalGivenByField) {
+      fields[settings.approvalGivenByField] = null;
+    }
+    await updateIssueFields(issue.id, fields);
+    await notify(settings.requiredStatus);
+
+    return {
+      message: `Approval withdrawn by ${me.displayName}; issue moved back to "${settings.requiredStatus}"`,
+      quorumMet: false,
+    };
+  }
+
+  await notify(statusName);
+  return { message: `Approval withdrawn by ${me.displayName}`, quorumMet: progress.met };
+});
+
+// Dashboard gadget — issues waiting on my vote, optionally for one project, one page at a time.
+// Paging follows the search's nextPageToken; Jira's enhanced search reports no total.
+resolver.define('getPendingApprovals', async ({ payload }) => {
+  const me = await getMyself();
+  const maxResults = Math.min(Math.max(Math.floor(Number(payload?.maxResults)) || 10, 1), 50);
+  const { issues, nextPageToken } = await findPendingApprovals(me, {
+    projectKey: payload?.projectKey || '',
+    pageToken: payload?.pageToken || null,
+    maxResults,
+  });
+
+  return {
+    issues,
+    nextPageToken,
+    maxResults,
+    projects: Array.from(
+      new Map(issues.map(i => [i.projectKey, { key: i.projectKey, name: i.projectName }])).values()
+    ),
+  };
+});
+
+// Bulk approval — the issues a JQL query returns; eligibility is checked per issue with getIssueData
+resolver.define('searchBulkCandidates', async ({ payload }) => {
+  const jql = String(payload?.jql || '').trim();
+  if (!jql) throw new Error('Enter a JQL query');
+
+  const issues = await searchIssues(jql, ['summary'], undefined, BULK_LIMIT + 1);
+  return {
+    issues: issues.slice(0, BULK_LIMIT).map(i => ({ key: i.key, summary: i.fields?.summary || '' })),
+    truncated: issues.length > BULK_LIMIT,
+    limit: BULK_LIMIT,
+  };
+});
+
+// Out-of-office substitutes — always for the signed-in user
+resolver.define('getMyDelegations', async () => {
+  const me = await getMyself();
+  return { delegations: await getDelegations(me.accountId) };
+});
+
+resolver.define('addDelegation', async ({ payload }) => {
+  const me = await getMyself();
+  const delegations = await addDelegation(me.accountId, {
+    delegate: payload.delegate,
+    from: payload.from,
+    to: payload.to,
+  });
+  return { delegations };
+});
+
+resolver.define('removeDelegation', async ({ payload }) => {
+  const me = await getMyself();
+  return { delegations: await removeDelegation(me.accountId, Number(payload.index)) };
+});
+
+export const handler = resolver.getDefinitions();
@@ -1,11 +1,124 @@
 import Resolver from '@forge/resolver';
 import { storage } from '@forge/api';
+import { getSettings } from '../approvals/config';
+import { getUser, updateIssueFields } from '../approvals/jira';
+import { BREAK_CARD, UNSURE_CARD, findCard, getDeck } from '../poker/decks';
+import { suggestEstimate, summarizeRound, toEstimateFields } from '../poker/estimates';
+import { isFacilitator } from '../poker/facilitator';
 
 const resolver = new Resolver();
 const STORAGE_PREFIX = 'poker-estimates';
 
 const getStorageKey = (issueKey) => `${STORAGE_PREFIX}:${issueKey}`;
 
+// "ABC-123" → "ABC"; deck, estimate field and facilitator role are configured per project
+const getProjectKey = (issueKey) => issueKey.slice(0, issueKey.lastIndexOf('-'));
+
+// The caller as Forge authenticated the invocation — the payload is never trusted for identity
+const getCaller = async (context) => {
+  if (!context?.accountId) {
+    throw new Error('Planning poker needs a signed-in user.');
+  }
+
+  const user = await getUser(context.accountId);
+  return { accountId: user.accountId, displayName: user.displayName };
+};
+
+// Everything a resolver needs about the session and who is calling
+const loadSession = async (issueKey, context) => {
+  const key = getStorageKey(issueKey);
+  const [caller, settings, stored] = await Promise.all([
+    getCaller(context),
+    getSettings(getProjectKey(issueKey)),
+    storage.get(key),
+  ]);
+  const state = normalizeState(stored);
+  return {
+    key,
+    caller,
+    settings,
+    deck: getDeck(settings),
+    state,
+    isFacilitator: await isFacilitator({
+      facilitator: state.facilitator,
+      projectKey: getProjectKey(issueKey),
+      roleName: settings.pokerFacilitatorRole,
+      accountId: caller.accountId,
+    }),
+  };
+};
+
+// Whoever creates the session (its first write) becomes the facilitator. With a facilitator role
+// configured only a member of it can be recorded — anyone else just plays a card.
+const saveState = async (session, state) => {
+  const claims =
+    !state.facilitator && (!session.settings.pokerFacilitatorRole || session.isFacilitator);
+  const nextState = claims ? { ...state, facilitator: session.caller } : state;
+  await storage.set(session.key, nextState);
+  return nextState;
+};
+
+// Before anyone created the session, its creator will be the facilitator — unless a facilitator
+// role is configured, which then always decides
+const assertFacilitator = (session) => {
+  const { facilitator } = session.state;
+  const role = session.settings.pokerFacilitatorRole;
+  if (session.isFacilitator || (!facilitator && !role)) {
+    return;
+  }
+  throw new Error(
+    facilitator
+      ? `Only the facilitator (${facilitator.displayName}) can do this in this poker session.`
+      : `Only members of the "${role}" project role can do this in this poker session.`
+  );
+};
+
+// Until the reveal nobody may see (and be anchored by) another player's card: other entries only
+// say that a card was played, the caller keeps their own
+const redactEstimates = (estimates, accountId) =>
+  Object.fromEntries(
+    Object.entries(estimates).map(([id, entry]) => [
+      id,
+      id === accountId
+        ? { displayName: entry.displayName, estimate: entry.estimate, hasVoted: true }
+        : { displayName: entry.displayName, hasVoted: true },
+    ])
+  );
+
+// Every resolver answers with the current round (revealed, estimates, final), the caller's own
+// card, the allowed participants, the facilitator, the deck the panel renders as cards, the
+// suggested final estimate once revealed and a summary of every round for the convergence view
+const describeState = (session, state) => {
+  const { caller, deck } = session;
+  const round = currentRound(state);
+  return {
+    round: round.number,
+    revealed: round.revealed,
+    estimates: round.revealed
+      ? round.estimates
+      : redactEstimates(round.estimates, caller.accountId),
+    myEstimate: round.estimates[caller.accountId]?.estimate ?? null,
+    final: round.final,
+    participants: state.participants,
+    facilitator: state.facilitator,
+    facilitatorRole: session.settings.pokerFacilitatorRole || null,
+    isFacilitator:
+      session.isFacilitator || state.facilitator?.accountId === caller.accountId,
+    rounds: state.rounds.map((r) => summarizeRound(deck, r)),
+    deck,
+    suggestion: round.revealed ? suggestEstimate(deck, round.estimates) : null,
+  };
+};
+
+// A finalized round keeps its votes as they were; voting again needs a new round
+const assertOpen = (round) => {
+  if (round.final) {
+    throw new Error(
+      'This round is locked — the estimate was already finalized. Start a new round to vote again.'
+    );
+  }
+};
+
 const normalizeParticipants = (participants) => {
   if (!Array.isArray(participants)) {
     return [];
@@ -19,114 +132,225 @@ const normalizeParticipants = (participants) => {
     }));
 };
 
+// final: { estimate, fieldId, decidedBy: { accountId, displayName }, at } once the team agreed
+const normalizeFinal = (final) => {
+  if (!final || typeof final !== 'object' || !final.estimate) {
+    return null;
+  }
+
+  return {
+    estimate: String(final.estimate),
+    fieldId: final.fieldId || null,
+    decidedBy: final.decidedBy?.accountId
+      ? { accountId: final.decidedBy.accountId, displayName: final.decidedBy.displayName || null }
+      : null,
+    at: final.at || null,
+  };
+};
+
+// round: { number, startedAt, revealed, revealedAt, estimates, participants, final }
+// `participants` is the allowed list while the round was open (empty = anyone)
+const normalizeRound = (round, index) => ({
+  number: index + 1,
+  startedAt: round?.startedAt || null,
+  revealed: Boolean(round?.revealed),
+  revealedAt: round?.revealedAt || null,
+  estimates: round?.estimates && typeof round.estimates === 'object' ? round.estimates : {},
+  participants: normalizeParticipants(round?.participants),
+  final: normalizeFinal(round?.final),
+});
+
+const newRound = (participants) => ({
+  startedAt: new Date().toISOString(),
+  revealed: false,
+  revealedAt: null,
+  estimates: {},
+  participants,
+  final: null,
+});
+
+// Stored as { facilitator, participants, rounds: [round, ...] }, oldest round first; the last one is
+// in play. Before rounds existed the state held a single round's fields at the top level.
 const normalizeState = (state) => {
   if (!state || typeof state !== 'object') {
-    return { revealed: false, estimates: {}, participants: [] };
+    return { facilitator: null, participants: [], rounds: [normalizeRound(newRound([]), 0)] };
   }
 
+  const rounds = Array.isArray(state.rounds) && state.rounds.length > 0 ? state.rounds : [state];
   return {
-    revealed: Boolean(state.revealed),
-    estimates: state.estimates && typeof state.estimates === 'object' ? state.estimates : {},
+    facilitator: normalizeParticipants([state.facilitator])[0] ?? null,
     participants: normalizeParticipants(state.participants),
+    rounds: rounds.map(normalizeRound),
   };
 };
 
-resolver.define('getPokerState', async ({ payload }) => {
+const currentRound = (state) => state.rounds[state.rounds.length - 1];
+
+const updateCurrentRound = (state, changes) => ({
+  ...state,
+  rounds: [...state.rounds.slice(0, -1), { ...currentRound(state), ...changes }],
+});
+
+resolver.define('getPokerState', async ({ payload, context }) => {
   const { issueKey } = payload;
   if (!issueKey) {
     throw new Error('issueKey is required.');
   }
 
-  const stored = await storage.get(getStorageKey(issueKey));
-  return normalizeState(stored);
+  const session = await loadSession(issueKey, context);
+  return describeState(session, session.state);
 });
 
-resolver.define('enterEstimate', async ({ payload }) => {
-  const { issueKey, accountId, displayName, estimate } = payload;
-  if (!issueKey || !accountId || !displayName) {
-    throw new Error('issueKey, accountId, and displayName are required.');
+resolver.define('enterEstimate', async ({ payload, context }) => {
+  const { issueKey, estimate } = payload;
+  if (!issueKey) {
+    throw new Error('issueKey is required.');
   }
 
-  const parsedEstimate = Number(estimate);
-  if (!Number.isFinite(parsedEstimate) || parsedEstimate < 0) {
-    throw new Error('Estimate must be a non-negative number.');
+  const session = await loadSession(issueKey, context);
+  const { caller, deck, state: existing } = session;
+  const round = currentRound(existing);
+  assertOpen(round);
+
+  const card = findCard(deck, estimate);
+  if (!card) {
+    throw new Error(`Estimate must be one of the ${deck.name} cards: ${deck.cards.join(', ')}.`);
   }
 
-  const key = getStorageKey(issueKey);
-  const existing = normalizeState(await storage.get(key));
   const allowedParticipants = existing.participants;
   if (
     allowedParticipants.length > 0 &&
-    !allowedParticipants.some((participant) => participant.accountId === accountId)
+    !allowedParticipants.some((participant) => participant.accountId === caller.accountId)
   ) {
     throw new Error('You are not allowed to participate in this poker session.');
   }
 
-  const nextEstimates = {
-    ...existing.estimates,
-    [accountId]: { displayName, estimate: parsedEstimate },
-  };
-
-  const nextState = {
+  const nextState = updateCurrentRound(existing, {
     revealed: false,
-    estimates: nextEstimates,
-    participants: existing.participants,
-  };
+    revealedAt: null,
+    estimates: {
+      ...round.estimates,
+      [caller.accountId]: { displayName: caller.displayName, estimate: card },
+    },
+  });
 
-  await storage.set(key, nextState);
-  return nextState;
+  return describeState(session, await saveState(session, nextState));
 });
 
-resolver.define('setPokerParticipants', async ({ payload }) => {
+resolver.define('setPokerParticipants', async ({ payload, context }) => {
   const { issueKey, participants } = payload;
   if (!issueKey) {
     throw new Error('issueKey is required.');
   }
 
-  const key = getStorageKey(issueKey);
-  const existing = normalizeState(await storage.get(key));
-  const nextState = {
-    ...existing,
-    participants: normalizeParticipants(participants),
-  };
+  const session = await loadSession(issueKey, context);
+  assertFacilitator(session);
+  const existing = session.state;
+  const nextParticipants = normalizeParticipants(participants);
+  const withParticipants = { ...existing, participants: nextParticipants };
 
-  await storage.set(key, nextState);
-  return nextState;
+  // A round still being voted on follows the new list; revealed rounds keep theirs
+  const nextState = currentRound(existing).revealed
+    ? withParticipants
+    : updateCurrentRound(withParticipants, { participants: nextParticipants });
+
+  return describeState(session, await saveState(session, nextState));
 });
 
-resolver.define('revealEstimates', async ({ payload }) => {
+resolver.define('revealEstimates', async ({ payload, context }) => {
   const { issueKey } = payload;
   if (!issueKey) {
     throw new Error('issueKey is required.');
   }
 
-  const key = getStorageKey(issueKey);
-  const existing = normalizeState(await storage.get(key));
-  const nextState = {
-    ...existing,
+  const session = await loadSession(issueKey, context);
+  assertFacilitator(session);
+  assertOpen(currentRound(session.state));
+  const nextState = updateCurrentRound(session.state, {
     revealed: true,
-  };
+    revealedAt: new Date().toISOString(),
+  });
 
-  await storage.set(key, nextState);
-  return nextState;
+  return describeState(session, await saveState(session, nextState));
 });
 
-resolver.define('clearEstimates', async ({ payload }) => {
+// Clears the current round only; earlier rounds stay in the history
+resolver.define('clearEstimates', async ({ payload, context }) => {
   const { issueKey } = payload;
   if (!issueKey) {
     throw new Error('issueKey is required.');
   }
 
-  const key = getStorageKey(issueKey);
-  const existing = normalizeState(await storage.get(key));
-  const nextState = {
+  const session = await loadSession(issueKey, context);
+  assertFacilitator(session);
+  assertOpen(currentRound(session.state));
+  const nextState = updateCurrentRound(session.state, {
     revealed: false,
+    revealedAt: null,
     estimates: {},
-    participants: existing.participants,
-  };
+  });
 
-  await storage.set(key, nextState);
-  return nextState;
+  return describeState(session, await saveState(session, nextState));
+});
+
+// Re-vote after discussion: the revealed round is kept and an empty one starts
+resolver.define('startNewRound', async ({ payload, context }) => {
+  const { issueKey } = payload;
+  if (!issueKey) {
+    throw new Error('issueKey is required.');
+  }
+
+  const session = await loadSession(issueKey, context);
+  assertFacilitator(session);
+  const existing = session.state;
+  const round = currentRound(existing);
+  if (Object.keys(round.estimates).length === 0) {
+    return describeState(session, existing);
+  }
+  if (!round.revealed) {
+    throw new Error('Reveal this round before starting a new one.');
+  }
+
+  const nextRound = normalizeRound(newRound(existing.participants), existing.rounds.length);
+  const nextState = { ...existing, rounds: [...existing.rounds, nextRound] };
+
+  return describeState(session, await saveState(session, nextState));
+});
+
+// Writes the agreed card to the project's estimate field and locks the round.
+// Without `estimate` the suggested median is used.
+resolver.define('finalizeEstimate', async ({ payload, context }) => {
+  const { issueKey, estimate } = payload;
+  if (!issueKey) {
+    throw new Error('issueKey is required.');
+  }
+
+  const session = await loadSession(issueKey, context);
+  assertFacilitator(session);
+  const { caller, deck, settings, state: existing } = session;
+  const round = currentRound(existing);
+  assertOpen(round);
+  if (!round.revealed) {
+    throw new Error('Reveal the estimates before finalizing.');
+  }
+
+  const card = findCard(deck, estimate ?? suggestEstimate(deck, round.estimates).median);
+  if (!card || card === UNSURE_CARD || card === BREAK_CARD) {
+    throw new Error('Pick a card with a size as the final estimate.');
+  }
+
+  await updateIssueFields(issueKey, toEstimateFields(settings.pokerEstimateField, card));
+
+  const nextState = updateCurrentRound(existing, {
+    final: {
+      estimate: card,
+      fieldId: settings.pokerEstimateField,
+      decidedBy: caller,
+      at: new Date().toISOString(),
+    },
+  });
+
+  return describeState(session, await saveState(session, nextState));
 });
 
 export const handler = resolver.getDefinitions();
@@ -0,0 +1,61 @@
+import api from '@forge/api';
+import { getSettings } from '../approvals/config';
+import { addComment, getIssueByKeyOrId, getUser } from '../approvals/jira';
+import { captureIssueState, invalidateApprovals, updateApprovalRecord } from '../approvals/record';
+
+// avi:jira:updated:issue — if an approval-sensitive field changed after sign-off,
+// clear or flag the existing approvals and tell people on the issue why.
+export const handler = async (event) => {
+  const issueId = event?.issue?.id;
+  const items = event?.changelog?.items || [];
+  if (!issueId || items.length === 0) return;
+
+  const requester = api.asApp();
+  const issue = await getIssueByKeyOrId(issueId, requester);
+  const settings = await getSettings(issue?.fields?.project?.key);
+  if (settings.invalidationMode === 'off') return;
+
+  // Changelog items carry a fieldId for most fields; fall back to the display name
+  const sensitive = settings.sensitiveFields.map((id) => id.toLowerCase());
+  const changed = items.filter((item) =>
+    sensitive.includes(String(item.fieldId || item.field || '').toLowerCase())
+  );
+  if (changed.length === 0) return;
+
+  let editor = { accountId: event.atlassianId, displayName: null };
+  if (event.atlassianId) {
+    try {
+      editor = await getUser(event.atlassianId, requester);
+    } catch {
+      // Keep the bare account ID in the audit entry
+    }
+  }
+
+  // Same revision-checked write as the approve flow, so a vote recorded at this moment is not lost
+  const fieldNames = Array.from(new Set(changed.map((item) => item.field))).join(', ');
+  let invalidated = [];
+  await updateApprovalRecord(
+    issue.id,
+    (record) => {
+      invalidated = record.votes.filter((v) => v.decision === 'approved' && !v.stale);
+      if (invalidated.length === 0) return record;
+      return invalidateApprovals(record, {
+        user: editor,
+        mode: settings.invalidationMode,
+        comment: `Changed after approval: ${fieldNames}`,
+        issueState: captureIssueState(issue, settings),
+      });
+    },
+    requester
+  );
+  if (invalidated.length === 0) return;
+
+  const names = Array.from(new Set(invalidated.map((v) => v.displayName || v.accountId))).join(', ');
+  const outcome = settings.invalidationMode === 'clear' ? 'were cleared' : 'are now out of date';
+  await addComment(
+    issue.id,
+    `${fieldNames} changed after approval, so the approvals from ${names} ${outcome}. ` +
+      'Please review the changes and approve again.',
+    requester
+  );
+};
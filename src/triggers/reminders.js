@@ -0,0 +1,138 @@
+import api, { storage } from '@forge/api';
+import { Queue } from '@forge/events';
+import { getAllSettings } from '../approvals/config';
+import { getLastStatusChange, jqlQuote, notifyIssue, searchIssuesPage } from '../approvals/jira';
+import { evaluateStages, getIssueWithSettings, resolveStages } from '../approvals/quorum';
+import { readApprovalRecord } from '../approvals/record';
+
+// What was already sent for the current review, per issue:
+//   approval-sla:<issueId> → { enteredAt, remindedAt, escalatedAt }
+// A new `enteredAt` (the issue left review and came back) starts over.
+const STATE_PREFIX = 'approval-sla';
+const HOUR_MS = 60 * 60 * 1000;
+
+// The hourly run only queues the search; the approval-reminders queue then takes one page of issues
+// per event (queueing the next page) and one issue per event, so no invocation grows with the site.
+// A page is as large as one queue push allows.
+const REMINDER_QUEUE_KEY = 'approval-reminders';
+const PAGE_SIZE = 50;
+
+const reminderQueue = new Queue({ key: REMINDER_QUEUE_KEY });
+
+const hoursSince = (iso, now) => (now - Date.parse(iso)) / HOUR_MS;
+
+const remindIfDue = async (issue, stage, settings, state, hoursInStatus, now) => {
+  const hours = settings.reminderAfterHours;
+  if (!hours || hoursInStatus < hours || stage.remaining.length === 0) return false;
+  if (state.remindedAt && hoursSince(state.remindedAt, now) < hours) return false;
+
+  await notifyIssue(
+    issue.id,
+    {
+      subject: `Approval needed: ${issue.key} ${issue.fields?.summary || ''}`.trim(),
+      textBody:
+        `${issue.key} has been waiting in "${settings.requiredStatus}" for ` +
+        `${Math.floor(hoursInStatus)} hours and still needs your approval for "${stage.name}".`,
+      to: { users: stage.remaining.map((u) => ({ accountId: u.accountId })) },
+    },
+    api.asApp()
+  );
+  return true;
+};
+
+const escalateIfDue = async (issue, stage, settings, state, hoursInStatus) => {
+  const hours = settings.escalateAfterHours;
+  if (!hours || hoursInStatus < hours || state.escalatedAt) return false;
+  if (!settings.escalationUser && !settings.escalationGroup) return false;
+
+  const waitingOn = stage.remaining.map((u) => u.displayName).join(', ') || 'no listed approvers';
+  await notifyIssue(
+    issue.id,
+    {
+      subject: `Approval overdue: ${issue.key} ${issue.fields?.summary || ''}`.trim(),
+      textBody:
+        `${issue.key} has been waiting in "${settings.requiredStatus}" for ` +
+        `${Math.floor(hoursInStatus)} hours. "${stage.name}" is still waiting on: ${waitingOn}.`,
+      to: {
+        users: settings.escalationUser ? [{ accountId: settings.escalationUser }] : [],
+        groups: settings.escalationGroup ? [{ name: settings.escalationGroup }] : [],
+      },
+    },
+    api.asApp()
+  );
+  return true;
+};
+
+const processIssue = async (issueId, now) => {
+  const requester = api.asApp();
+  const { issue, settings, statusName } = await getIssueWithSettings(issueId, requester);
+  if (statusName !== settings.requiredStatus) return;
+  if (!settings.reminderAfterHours && !settings.escalateAfterHours) return;
+
+  const [record, stages] = await Promise.all([
+    readApprovalRecord(issue.id, requester),
+    resolveStages(issue, settings, requester),
+  ]);
+  const stage = evaluateStages(stages, record).activeStage;
+  if (!stage) return;
+
+  const enteredAt = (await getLastStatusChange(issue.id, requester)) || issue.fields.created;
+  const hoursInStatus = hoursSince(enteredAt, now);
+
+  const key = `${STATE_PREFIX}:${issue.id}`;
+  const stored = (await storage.get(key)) || {};
+  const state = stored.enteredAt === enteredAt ? stored : { enteredAt };
+
+  const reminded = await remindIfDue(issue, stage, settings, state, hoursInStatus, now);
+  const escalated = await escalateIfDue(issue, stage, settings, state, hoursInStatus);
+  if (reminded || escalated || state !== stored) {
+    const at = new Date(now).toISOString();
+    await storage.set(key, {
+      ...state,
+      ...(reminded ? { remindedAt: at } : {}),
+      ...(escalated ? { escalatedAt: at } : {}),
+    });
+  }
+};
+
+// One page of the search: an event per issue, then one for the next page
+const processPage = async ({ jql, pageToken, now }) => {
+  const page = await searchIssuesPage(
+    jql,
+    ['status'],
+    { maxResults: PAGE_SIZE, nextPageToken: pageToken },
+    api.asApp()
+  );
+  if (page.issues.length > 0) {
+    await reminderQueue.push(page.issues.map(({ id }) => ({ body: { issueId: id, now } })));
+  }
+  if (page.nextPageToken) {
+    await reminderQueue.push({ body: { page: { jql, pageToken: page.nextPageToken, now } } });
+  }
+};
+
+// scheduledTrigger — nudges approvers who have not voted on issues waiting in the review status,
+// and escalates to the configured fallback user / group once the issue is overdue.
+export const handler = async () => {
+  // Every review status in use (site default plus project overrides)
+  const statuses = new Set((await getAllSettings()).map((settings) => settings.requiredStatus));
+
+  const jql = `status in (${Array.from(statuses).map(jqlQuote).join(', ')}) ORDER BY created ASC`;
+  await reminderQueue.push({ body: { page: { jql, pageToken: null, now: Date.now() } } });
+};
+
+// consumer on the approval-reminders queue — a search page or a single issue
+export const processReminderEvent = async (body) => {
+  if (body?.page) {
+    await processPage(body.page);
+    return;
+  }
+  if (!body?.issueId) return;
+
+  // One failing issue (deleted, permissions) should not stop the others
+  try {
+    await processIssue(body.issueId, body.now);
+  } catch (e) {
+    console.error(`Approval reminder for issue ${body.issueId} failed: ${e?.message || e}`);
+  }
+};
@@ -0,0 +1,47 @@
+import api from '@forge/api';
+import { getStatus } from '../approvals/jira';
+import { evaluateStages, getIssueWithSettings, resolveStages } from '../approvals/quorum';
+import { readApprovalRecord } from '../approvals/record';
+
+// Stage progress as one line per unfinished stage, e.g. `"Security": waiting on Jane Doe, Bob Lee`
+const describeMissing = (progress) =>
+  progress.stages
+    .filter((stage) => !stage.met)
+    .map((stage) => {
+      const missing = [
+        ...stage.remaining.map((u) => u.displayName || u.accountId),
+        ...stage.missingGroups.map((name) => `someone from ${name}`),
+      ];
+      const names = Array.from(new Set(missing)).join(', ') || 'no approvers listed';
+      return `"${stage.name}": waiting on ${names}`;
+    })
+    .join('; ');
+
+// jira:workflowValidator — the same quorum check as the Approve button, applied to every
+// transition into a guarded status (including Jira's own transition buttons and automation).
+export const handler = async ({ issue: issueRef, transition }) => {
+  const requester = api.asApp();
+  const { issue, settings } = await getIssueWithSettings(issueRef.key || issueRef.id, requester);
+
+  const guarded =
+    settings.guardedStatuses.length > 0 ? settings.guardedStatuses : [settings.targetStatus];
+  const target = await getStatus(transition.to.id, requester);
+  const targetName = String(target?.name || '').toLowerCase();
+  if (!guarded.some((name) => name.toLowerCase() === targetName)) {
+    return { result: true };
+  }
+
+  const [record, stages] = await Promise.all([
+    readApprovalRecord(issue.id, requester),
+    resolveStages(issue, settings, requester),
+  ]);
+  const progress = evaluateStages(stages, record);
+  if (progress.met) {
+    return { result: true };
+  }
+
+  return {
+    result: false,
+    errorMessage: `"${target.name}" needs approval first. ${describeMissing(progress)}`,
+  };
+};